@@ -1,13 +1,15 @@
 /**
  * Environment config: dotenv for local dev, process.env for production.
- * Exits process if REDIS_URL is missing.
+ * Exits process if REDIS_URL is missing, or JWT_SECRET in production.
  */
 
 if (process.env.NODE_ENV !== 'production') {
   require('dotenv').config();
 }
 
-const required = ['REDIS_URL'];
+const { DEFAULT_SOFT_RESET_KEEP } = require('../game/seasons');
+
+const required = process.env.NODE_ENV === 'production' ? ['REDIS_URL', 'JWT_SECRET'] : ['REDIS_URL'];
 const missing = required.filter((key) => !process.env[key] || String(process.env[key]).trim() === '');
 if (missing.length > 0) {
   console.error('[config] Missing required ENV:', missing.join(', '));
@@ -18,10 +20,34 @@ const PORT = parseInt(process.env.PORT, 10) || 3001;
 const REDIS_URL = process.env.REDIS_URL;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 const CORS_ORIGIN = process.env.CORS_ORIGIN || '*';
+// Signing key for session tokens; the development fallback must never be used in production
+const JWT_SECRET = process.env.JWT_SECRET || 'development-only-jwt-secret';
+const TOKEN_TTL_SECONDS = parseInt(process.env.TOKEN_TTL_SECONDS, 10) || 24 * 60 * 60;
+// Shared key a login service sends to POST /api/auth/token; without it tokens are only issued outside production
+const TOKEN_ISSUER_KEY = process.env.TOKEN_ISSUER_KEY || null;
+// Comma-separated words masked in chat; unset uses the built-in list, empty disables the filter
+const CHAT_BLOCKED_WORDS = process.env.CHAT_BLOCKED_WORDS;
+// Seasons roll over automatically after this many days; 0 leaves it to an admin
+const SEASON_LENGTH_DAYS = Math.max(parseInt(process.env.SEASON_LENGTH_DAYS, 10) || 0, 0);
+// Share of a rating's distance from 1000 kept at a season rollover (0 = everyone back to 1000, 1 = no reset)
+const parsedSoftReset = parseFloat(process.env.SEASON_SOFT_RESET);
+const SEASON_SOFT_RESET = Number.isFinite(parsedSoftReset) ? Math.min(Math.max(parsedSoftReset, 0), 1) : DEFAULT_SOFT_RESET_KEEP;
+// 'elo' (default) or 'glicko2'; ELO ratings carry over when switching to Glicko-2
+const RATING_SYSTEM = process.env.RATING_SYSTEM === 'glicko2' ? 'glicko2' : 'elo';
+// Shared secret for the admin endpoints (season rollover), sent in the x-admin-key header; when unset those routes are disabled
+const ADMIN_KEY = process.env.ADMIN_KEY || null;
 
 module.exports = {
   PORT,
   REDIS_URL,
   NODE_ENV,
   CORS_ORIGIN,
+  JWT_SECRET,
+  TOKEN_TTL_SECONDS,
+  TOKEN_ISSUER_KEY,
+  CHAT_BLOCKED_WORDS,
+  SEASON_LENGTH_DAYS,
+  SEASON_SOFT_RESET,
+  RATING_SYSTEM,
+  ADMIN_KEY,
 };
@@ -0,0 +1,130 @@
+/**
+ * Private rooms: who may take a seat (or watch).
+ * A private room is entered with its password (if it has one) or a signed invite token; the
+ * token only carries the invite id, and the room keeps the invites that are still valid so the
+ * creator can revoke them. State lives on room.access = { passwordHash, salt, invites, kicked }.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const VISIBILITIES = ['public', 'private'];
+const MIN_PASSWORD_LENGTH = 4;
+const MAX_PASSWORD_LENGTH = 64;
+const DEFAULT_INVITE_TTL_SECONDS = 24 * 60 * 60;
+const MAX_INVITE_TTL_SECONDS = 7 * 24 * 60 * 60;
+const MAX_INVITES = 20;
+
+function isValidPassword(password) {
+  return typeof password === 'string'
+    && password.length >= MIN_PASSWORD_LENGTH && password.length <= MAX_PASSWORD_LENGTH;
+}
+
+// scrypt runs on the libuv thread pool, so hashing does not block the event loop
+async function hashPassword(password, salt) {
+  return (await scrypt(password, salt, 32)).toString('hex');
+}
+
+function createAccessState() {
+  return { passwordHash: null, salt: null, invites: {}, kicked: [] };
+}
+
+/** Give a private room its password; only the salted hash is kept. */
+async function setPassword(state, password) {
+  state.salt = crypto.randomBytes(16).toString('hex');
+  state.passwordHash = await hashPassword(password, state.salt);
+}
+
+async function passwordMatches(state, password) {
+  if (!state.passwordHash || typeof password !== 'string') return false;
+  const expected = Buffer.from(state.passwordHash, 'hex');
+  const actual = Buffer.from(await hashPassword(password, state.salt), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function dropExpiredInvites(state, now = Date.now()) {
+  for (const [inviteId, invite] of Object.entries(state.invites)) {
+    if (invite.expiresAt <= now) delete state.invites[inviteId];
+  }
+}
+
+/**
+ * Record a new invite; the caller signs a token for the returned id.
+ * @returns {{ ok: true, inviteId: string, expiresAt: number } | { ok: false, reason: string }}
+ */
+function createInvite(room, ttlSeconds = DEFAULT_INVITE_TTL_SECONDS) {
+  if (room.visibility !== 'private') return { ok: false, reason: 'Only private rooms use invites' };
+  const state = room.access;
+  dropExpiredInvites(state);
+  if (Object.keys(state.invites).length >= MAX_INVITES) return { ok: false, reason: 'Too many active invites' };
+  const inviteId = crypto.randomBytes(8).toString('hex');
+  const expiresAt = Date.now() + ttlSeconds * 1000;
+  state.invites[inviteId] = { createdAt: Date.now(), expiresAt };
+  return { ok: true, inviteId, expiresAt };
+}
+
+function revokeInvite(room, inviteId) {
+  if (!room.access.invites[inviteId]) return { ok: false, reason: 'Invite not found' };
+  delete room.access.invites[inviteId];
+  return { ok: true };
+}
+
+/**
+ * May this user enter the room? Public rooms are open; private rooms need the password or a
+ * verified invite for this room that has not been revoked. Kicked players stay out.
+ * @param {{ userId: string, password?: string, invite?: { roomId: string, inviteId: string } }} credentials
+ */
+async function checkAccess(room, { userId, password, invite }) {
+  const state = room.access;
+  if (!state) return { ok: true };
+  if (state.kicked.includes(userId)) return { ok: false, reason: 'You were removed from this room' };
+  if (room.visibility !== 'private') return { ok: true };
+  if (await passwordMatches(state, password)) return { ok: true };
+  if (invite && invite.roomId === room.roomId) {
+    const record = state.invites[invite.inviteId];
+    if (record && record.expiresAt > Date.now()) return { ok: true };
+    return { ok: false, reason: 'Invite revoked or expired' };
+  }
+  if (password !== undefined) return { ok: false, reason: 'Wrong password' };
+  return { ok: false, reason: state.passwordHash ? 'Password or invite required' : 'Invite required' };
+}
+
+/** Remove a player from a room that has not started; they cannot come back. */
+function kickPlayer(room, userId) {
+  if (room.gameState !== 'waiting') return { ok: false, reason: 'Players can only be kicked before the game starts' };
+  if (userId === room.creatorUserId) return { ok: false, reason: 'Cannot kick the room creator' };
+  const index = room.players.findIndex((p) => p.userId === userId);
+  if (index === -1) return { ok: false, reason: 'Player not in room' };
+  const [player] = room.players.splice(index, 1);
+  delete room.fairness.clientSeeds[userId];
+  room.access.kicked.push(userId);
+  return { ok: true, player };
+}
+
+/** Access state as clients may see it: no password hash. */
+function publicState(state) {
+  if (!state) return state;
+  return {
+    hasPassword: !!state.passwordHash,
+    invites: Object.entries(state.invites).map(([inviteId, invite]) => ({ inviteId, ...invite })),
+    kicked: state.kicked,
+  };
+}
+
+module.exports = {
+  VISIBILITIES,
+  MIN_PASSWORD_LENGTH,
+  MAX_PASSWORD_LENGTH,
+  DEFAULT_INVITE_TTL_SECONDS,
+  MAX_INVITE_TTL_SECONDS,
+  isValidPassword,
+  createAccessState,
+  setPassword,
+  createInvite,
+  revokeInvite,
+  checkAccess,
+  kickPlayer,
+  publicState,
+};
@@ -0,0 +1,245 @@
+/**
+ * Strategic bot player.
+ * Arranges a hand into melds against the joker rank, takes the discard only when it
+ * improves the hand, throws the least useful card and declares once every card is melded.
+ * Melds follow the validator rules (same-suit runs, same-rank sets, jokers wild); turn
+ * decisions use a fast greedy arrangement and declarations use the exact solver.
+ */
+
+const { declareRequirements, isWild, parseCard, rankValue, SUITS } = require('./validator');
+const { cardPoint } = require('./scoring');
+const solver = require('./solver');
+
+// Hand evaluation weights: unmet declare requirements cost more than loose cards
+const MISSING_PURE_PENALTY = 30;
+const MISSING_SEQUENCE_PENALTY = 15;
+const PARTIAL_MELD_DISCOUNT = 0.5;
+const DRAW_DISCARD_MARGIN = 1;
+
+/**
+ * Difficulty levels: easier bots ignore the discard pile and sometimes throw a random card.
+ */
+const DIFFICULTIES = {
+  easy: { useDiscardPile: false, mistakeRate: 0.5 },
+  medium: { useDiscardPile: true, mistakeRate: 0.2 },
+  hard: { useDiscardPile: true, mistakeRate: 0 },
+};
+
+function getDifficulty(difficulty) {
+  return DIFFICULTIES[difficulty] || DIFFICULTIES.hard;
+}
+
+function removeCards(cards, toRemove) {
+  const rest = [...cards];
+  for (const card of toRemove) {
+    const index = rest.indexOf(card);
+    if (index !== -1) rest.splice(index, 1);
+  }
+  return rest;
+}
+
+/** Take same-suit runs of 3+ natural cards; runs of 6+ are split to count as two sequences. */
+function takeRuns(cards) {
+  const melds = [];
+  for (const suit of SUITS) {
+    const byRank = new Map();
+    for (const card of cards) {
+      const c = parseCard(card);
+      if (c && c.suit === suit && !byRank.has(rankValue(c.rank))) byRank.set(rankValue(c.rank), card);
+    }
+    const ranks = [...byRank.keys()].sort((a, b) => a - b);
+    let run = [];
+    const flush = () => {
+      if (run.length >= 6) {
+        melds.push(run.slice(0, 3).map((r) => byRank.get(r)));
+        melds.push(run.slice(3).map((r) => byRank.get(r)));
+      } else if (run.length >= 3) {
+        melds.push(run.map((r) => byRank.get(r)));
+      }
+      run = [];
+    };
+    for (const r of ranks) {
+      if (run.length > 0 && r !== run[run.length - 1] + 1) flush();
+      run.push(r);
+    }
+    flush();
+  }
+  return { melds, rest: removeCards(cards, melds.flat()) };
+}
+
+/** Take sets of 3-4 cards of one rank in distinct suits. */
+function takeSets(cards) {
+  const byRank = {};
+  for (const card of cards) {
+    const c = parseCard(card);
+    if (!c || !c.rank) continue;
+    if (!byRank[c.rank]) byRank[c.rank] = {};
+    if (!byRank[c.rank][c.suit]) byRank[c.rank][c.suit] = card;
+  }
+  const melds = [];
+  for (const rank in byRank) {
+    const distinct = Object.values(byRank[rank]);
+    if (distinct.length >= 3) melds.push(distinct.slice(0, 4));
+  }
+  return { melds, rest: removeCards(cards, melds.flat()) };
+}
+
+/** Two-card combinations that one wild would complete: near runs (gap ≤ 1) and same-rank pairs. */
+function findPartials(cards) {
+  const partials = [];
+  for (let i = 0; i < cards.length; i++) {
+    const a = parseCard(cards[i]);
+    if (!a || !a.rank) continue;
+    for (let j = i + 1; j < cards.length; j++) {
+      const b = parseCard(cards[j]);
+      if (!b || !b.rank) continue;
+      const gap = Math.abs(rankValue(a.rank) - rankValue(b.rank));
+      if (a.suit === b.suit && (gap === 1 || gap === 2)) {
+        partials.push({ cards: [cards[i], cards[j]], type: 'sequence' });
+      } else if (a.rank === b.rank && a.suit !== b.suit) {
+        partials.push({ cards: [cards[i], cards[j]], type: 'set' });
+      }
+    }
+  }
+  return partials;
+}
+
+/**
+ * Greedy arrangement of a hand into melds.
+ * @returns {{ groups: Array<{cards: string[]}>, deadwood: string[], pure: number, sequences: number }}
+ */
+function arrangeHand(hand, jokerRank, gameType) {
+  const req = declareRequirements(gameType);
+  let wilds = hand.filter((c) => isWild(c, jokerRank));
+  const naturals = hand.filter((c) => !isWild(c, jokerRank));
+  const groups = [];
+
+  const runs = takeRuns(naturals);
+  runs.melds.forEach((cards) => groups.push({ cards, type: 'pure' }));
+  const sets = takeSets(runs.rest);
+  sets.melds.forEach((cards) => groups.push({ cards, type: 'set' }));
+  let rest = sets.rest;
+
+  const sequenceCount = () => groups.filter((g) => g.type !== 'set').length;
+
+  // Spend wilds on the partial melds that save the most points, favouring runs while sequences are short
+  while (wilds.length > 0) {
+    const partials = findPartials(rest);
+    if (partials.length === 0) break;
+    const needSequences = sequenceCount() < req.sequences;
+    const value = (p) => cardPoint(p.cards[0]) + cardPoint(p.cards[1]) + (needSequences && p.type === 'sequence' ? 10 : 0);
+    partials.sort((a, b) => value(b) - value(a));
+    const best = partials[0];
+    groups.push({ cards: [...best.cards, wilds[0]], type: best.type });
+    rest = removeCards(rest, best.cards);
+    wilds = wilds.slice(1);
+  }
+
+  // Two wilds turn any single card into a run
+  while (wilds.length >= 2 && rest.length > 0) {
+    const card = [...rest].sort((a, b) => cardPoint(b) - cardPoint(a))[0];
+    groups.push({ cards: [card, wilds[0], wilds[1]], type: 'sequence' });
+    rest = removeCards(rest, [card]);
+    wilds = wilds.slice(2);
+  }
+
+  // Leftover wilds extend an impure meld, or a spare pure sequence if the requirement allows
+  while (wilds.length > 0) {
+    let target = groups.find((g) => g.type === 'sequence' || (g.type === 'set' && g.cards.length < 4));
+    if (!target && groups.filter((g) => g.type === 'pure').length > req.pure) {
+      target = groups.find((g) => g.type === 'pure');
+      target.type = 'sequence';
+    }
+    if (!target) {
+      if (wilds.length < 3) break;
+      target = { cards: [], type: 'set' };
+      groups.push(target);
+    }
+    target.cards.push(wilds[0]);
+    wilds = wilds.slice(1);
+  }
+
+  const pure = groups.filter((g) => g.type === 'pure').length;
+  return {
+    groups: groups.map((g) => ({ cards: g.cards })),
+    deadwood: [...rest, ...wilds],
+    pure,
+    sequences: pure + groups.filter((g) => g.type === 'sequence').length,
+  };
+}
+
+/**
+ * Heuristic cost of a hand (lower is better). Loose cards that already have a partner
+ * count at a discount; wilds are never counted against the hand.
+ */
+function evaluateHand(hand, jokerRank, gameType) {
+  const req = declareRequirements(gameType);
+  const arrangement = arrangeHand(hand, jokerRank, gameType);
+  const loose = arrangement.deadwood.filter((c) => !isWild(c, jokerRank));
+  const partnered = new Set(findPartials(loose).flatMap((p) => p.cards));
+
+  let score = 0;
+  for (const card of loose) {
+    score += cardPoint(card) * (partnered.has(card) ? PARTIAL_MELD_DISCOUNT : 1);
+  }
+  score += MISSING_PURE_PENALTY * Math.max(0, req.pure - arrangement.pure);
+  score += MISSING_SEQUENCE_PENALTY * Math.max(0, req.sequences - arrangement.sequences);
+  return score;
+}
+
+/**
+ * Finish card and groups for declaring the hand after the pick, or null if it is not complete yet.
+ * Uses the exact solver rather than the greedy arrangement so no winning hand is missed.
+ * @param {string} [keep] - Card that may not be thrown (e.g. the one just taken from the discard pile)
+ */
+function findFinish(hand, jokerRank, gameType, keep) {
+  return solver.findFinish(hand, jokerRank, gameType, keep);
+}
+
+/**
+ * Least useful card to throw. Wilds are kept unless nothing else is left.
+ * @param {string} [keep] - Card that must not be thrown (e.g. the one just taken from the discard pile)
+ * @param {string} [difficulty] - 'easy' | 'medium' | 'hard' (default)
+ */
+function chooseDiscard(hand, jokerRank, gameType, keep, difficulty) {
+  const candidates = hand.filter((c) => c !== keep && !isWild(c, jokerRank));
+  if (candidates.length > 0 && Math.random() < getDifficulty(difficulty).mistakeRate) {
+    return candidates[Math.floor(Math.random() * candidates.length)];
+  }
+
+  let best = null;
+  let bestScore = Infinity;
+  for (const card of new Set(hand)) {
+    if (card === keep || isWild(card, jokerRank)) continue;
+    const score = evaluateHand(removeCards(hand, [card]), jokerRank, gameType);
+    if (score < bestScore || (score === bestScore && cardPoint(card) > cardPoint(best))) {
+      best = card;
+      bestScore = score;
+    }
+  }
+  return best || hand.find((c) => c !== keep) || hand[0];
+}
+
+/**
+ * 'discard' when the top of the discard pile improves the hand, otherwise 'deck'.
+ * @param {string} [difficulty] - 'easy' | 'medium' | 'hard' (default)
+ */
+function chooseDraw(hand, discardTop, jokerRank, gameType, difficulty) {
+  if (!discardTop || !getDifficulty(difficulty).useDiscardPile) return 'deck';
+  if (isWild(discardTop, jokerRank)) return 'discard';
+  const current = evaluateHand(hand, jokerRank, gameType);
+  const withTop = [...hand, discardTop];
+  const thrown = chooseDiscard(withTop, jokerRank, gameType, discardTop);
+  const after = evaluateHand(removeCards(withTop, [thrown]), jokerRank, gameType);
+  return after < current - DRAW_DISCARD_MARGIN ? 'discard' : 'deck';
+}
+
+module.exports = {
+  DIFFICULTIES,
+  getDifficulty,
+  arrangeHand,
+  evaluateHand,
+  findFinish,
+  chooseDiscard,
+  chooseDraw,
+};
@@ -0,0 +1,65 @@
+/**
+ * In-room chat and quick emotes: message checks and the profanity filter.
+ * Blocked words are masked with '*' (whole words, case-insensitive), not rejected.
+ */
+
+const MAX_MESSAGE_LENGTH = 200;
+const EMOTES = ['thumbs_up', 'clap', 'laugh', 'wow', 'sad', 'angry', 'thinking', 'gg'];
+const DEFAULT_BLOCKED_WORDS = ['fuck', 'shit', 'bitch', 'bastard', 'asshole', 'dick', 'cunt', 'slut', 'whore'];
+
+/**
+ * Blocked words from config: a comma-separated list, or the built-in list when unset.
+ * @param {string|undefined} setting
+ */
+function parseBlockedWords(setting) {
+  if (setting === undefined) return DEFAULT_BLOCKED_WORDS;
+  return setting.split(',').map((w) => w.trim().toLowerCase()).filter(Boolean);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Mask every blocked word in text. */
+function filterProfanity(text, blockedWords) {
+  if (blockedWords.length === 0) return text;
+  const pattern = new RegExp(`\\b(${blockedWords.map(escapeRegExp).join('|')})\\b`, 'gi');
+  return text.replace(pattern, (word) => '*'.repeat(word.length));
+}
+
+/**
+ * Trimmed, filtered chat text.
+ * @returns {{ ok: true, text: string } | { ok: false, reason: string }}
+ */
+function prepareMessage(text, blockedWords) {
+  if (typeof text !== 'string') return { ok: false, reason: 'text required' };
+  const trimmed = text.replace(/\s+/g, ' ').trim();
+  if (!trimmed) return { ok: false, reason: 'Message is empty' };
+  if (trimmed.length > MAX_MESSAGE_LENGTH) {
+    return { ok: false, reason: `Message must be at most ${MAX_MESSAGE_LENGTH} characters` };
+  }
+  return { ok: true, text: filterProfanity(trimmed, blockedWords) };
+}
+
+function isValidEmote(emote) {
+  return EMOTES.includes(emote);
+}
+
+/** Seated player or spectator who may talk in the room, with the name shown next to their messages. */
+function findSender(room, userId) {
+  const player = room.players.find((p) => p.userId === userId && !p.isBot);
+  if (player) return { name: player.name, spectator: false };
+  const spectator = (room.spectators || []).find((s) => s.userId === userId);
+  if (spectator) return { name: spectator.name, spectator: true };
+  return null;
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  EMOTES,
+  parseBlockedWords,
+  filterProfanity,
+  prepareMessage,
+  isValidEmote,
+  findSender,
+};
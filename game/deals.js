@@ -0,0 +1,89 @@
+/**
+ * Deals Rummy: a fixed number of deals played for chips.
+ * Every player starts with the same chip stack; after each deal the losers pay
+ * their penalty points in chips to the deal winner. The chip leader after the
+ * last deal wins the match.
+ * State lives on room.deals = { totalDeals, dealNumber, startingChips, chips: { [userId]: chips } }.
+ */
+
+const MAX_DEALS = 10;
+const CHIPS_PER_DEAL = 80;
+
+function createDealsState(totalDeals, startingChips) {
+  return {
+    totalDeals,
+    dealNumber: 0,
+    startingChips: startingChips || totalDeals * CHIPS_PER_DEAL,
+    chips: {},
+  };
+}
+
+function isValidDealCount(totalDeals) {
+  return Number.isInteger(totalDeals) && totalDeals >= 1 && totalDeals <= MAX_DEALS;
+}
+
+/** Give every seated player the starting stack at the beginning of a match. */
+function initDeals(room) {
+  room.deals.dealNumber = 1;
+  room.deals.chips = {};
+  for (const p of room.players) {
+    room.deals.chips[p.userId] = room.deals.startingChips;
+  }
+}
+
+/**
+ * Chip counts, richest first.
+ * @returns {Array<{userId: string, name: string, chips: number}>}
+ */
+function getChipStandings(room) {
+  return room.players
+    .map((p) => ({ userId: p.userId, name: p.name, chips: room.deals.chips[p.userId] || 0 }))
+    .sort((a, b) => b.chips - a.chips);
+}
+
+/**
+ * Settle one deal: each loser pays their penalty (up to their remaining chips) to the winner.
+ * @param {object} room
+ * @param {number} winnerIndex - Index into room.players of the player who declared
+ * @param {Array<{penalty: number}>} scores - Per-player scores from gameManager.declare
+ * @returns {{ transfers: Array<{userId: string, chips: number}>, standings: Array, matchOver: boolean, winnerIndex: number }}
+ */
+function settleDeal(room, winnerIndex, scores) {
+  const winnerId = room.players[winnerIndex].userId;
+  const transfers = [];
+  let won = 0;
+  for (let i = 0; i < room.players.length; i++) {
+    if (i === winnerIndex) continue;
+    const p = room.players[i];
+    const balance = room.deals.chips[p.userId] || 0;
+    const paid = Math.min(scores[i]?.penalty || 0, balance);
+    room.deals.chips[p.userId] = balance - paid;
+    won += paid;
+    transfers.push({ userId: p.userId, chips: -paid });
+  }
+  room.deals.chips[winnerId] = (room.deals.chips[winnerId] || 0) + won;
+  transfers.push({ userId: winnerId, chips: won });
+
+  // Forfeited players are eliminated; the match also ends when only one player is left in it
+  const contenders = new Set(room.players.filter((p) => !p.eliminated).map((p) => p.userId));
+  const matchOver = room.deals.dealNumber >= room.deals.totalDeals || contenders.size < 2;
+  const standings = getChipStandings(room);
+  const leader = standings.find((s) => contenders.has(s.userId)) || standings[0];
+
+  return {
+    transfers,
+    standings,
+    matchOver,
+    winnerIndex: matchOver ? room.players.findIndex((p) => p.userId === leader.userId) : winnerIndex,
+  };
+}
+
+module.exports = {
+  MAX_DEALS,
+  CHIPS_PER_DEAL,
+  createDealsState,
+  isValidDealCount,
+  initDeals,
+  getChipStandings,
+  settleDeal,
+};
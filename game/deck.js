@@ -1,5 +1,6 @@
 /**
  * Deck creation utilities.
+ * Each 52-card deck adds one printed joker when jokers are in play (room.rules.printedJokers).
  */
 
 function createDeck(numDecks = 2, useJokers = true) {
@@ -16,8 +17,9 @@ function createDeck(numDecks = 2, useJokers = true) {
   }
 
   if (useJokers) {
-    deck.push('JOKER');
-    deck.push('JOKER');
+    for (let d = 0; d < numDecks; d++) {
+      deck.push('JOKER');
+    }
   }
 
   return deck;
@@ -0,0 +1,137 @@
+/**
+ * Provably fair deals.
+ * The server seed is committed (sha256) when the room is created and revealed when the game ends.
+ * Each deal is shuffled from the server seed, the dealt players' client seeds (seat order, joined
+ * with ':') and the deal number as nonce; reshuffles of the discard pile use `${deal}-reshuffle-${n}`.
+ */
+
+const { createDeck } = require('./deck');
+const { shuffle, createServerSeed, createClientSeed, hashSeed } = require('./shuffle');
+
+const MAX_CLIENT_SEED_LENGTH = 64;
+
+function createFairnessState() {
+  const serverSeed = createServerSeed();
+  return {
+    serverSeed,
+    serverSeedHash: hashSeed(serverSeed),
+    clientSeeds: {},
+    clientSeed: null,
+    deal: 0,
+    reshuffles: 0,
+    revealed: false,
+  };
+}
+
+function isValidClientSeed(seed) {
+  return typeof seed === 'string' && seed.length > 0 && seed.length <= MAX_CLIENT_SEED_LENGTH;
+}
+
+/** Record a player's client seed; players who do not send one get a random seed. */
+function setClientSeed(room, userId, seed) {
+  room.fairness.clientSeeds[userId] = seed || createClientSeed();
+}
+
+/**
+ * Take client seeds for the next deal only once its server seed hash is out: seeds sent before
+ * the commitment are dropped, since the server could have picked its seed to suit them. The deal
+ * waits until dealsAt (ms) or until every player has sent a seed.
+ */
+function openSeedWindow(room, dealsAt) {
+  room.fairness.clientSeeds = {};
+  room.dealsAt = dealsAt;
+}
+
+/** Has every player (bots get a random seed at the deal) answered the commitment? */
+function seedsReady(room) {
+  return room.players.every((p) => p.isBot || !!room.fairness.clientSeeds[p.userId]);
+}
+
+/**
+ * Seeds for the next deal to the given players (in seat order).
+ * @returns {{ serverSeed: string, clientSeed: string, nonce: string }}
+ */
+function nextDealSeeds(room, players) {
+  const state = room.fairness;
+  for (const player of players) {
+    if (!state.clientSeeds[player.userId]) setClientSeed(room, player.userId);
+  }
+  state.deal += 1;
+  state.reshuffles = 0;
+  state.clientSeed = players.map((p) => state.clientSeeds[p.userId]).join(':');
+  return { serverSeed: state.serverSeed, clientSeed: state.clientSeed, nonce: String(state.deal) };
+}
+
+/** Seeds for turning the discard pile back into a deck during the current deal. */
+function reshuffleSeeds(room) {
+  const state = room.fairness;
+  state.reshuffles += 1;
+  return { serverSeed: state.serverSeed, clientSeed: state.clientSeed, nonce: `${state.deal}-reshuffle-${state.reshuffles}` };
+}
+
+/**
+ * What is needed to replay a deal once the server seed is revealed.
+ * @param {string[]} deck - Shuffled deck before any card was dealt
+ */
+function dealRecord(room, deck, numDecks, useJokers) {
+  const state = room.fairness;
+  return {
+    deal: state.deal,
+    nonce: String(state.deal),
+    clientSeed: state.clientSeed,
+    numDecks,
+    useJokers,
+    deckHash: hashSeed(deck.join(',')),
+  };
+}
+
+/** Mark the seed as revealed (game over) and return what clients need to verify every deal. */
+function reveal(room) {
+  const state = room.fairness;
+  state.revealed = true;
+  return {
+    serverSeed: state.serverSeed,
+    serverSeedHash: state.serverSeedHash,
+    clientSeeds: state.clientSeeds,
+    deals: state.deal,
+  };
+}
+
+/** Fairness state as clients may see it: the server seed stays hidden until revealed. */
+function publicState(state) {
+  if (!state || state.revealed) return state;
+  const { serverSeed, ...rest } = state;
+  return rest;
+}
+
+/**
+ * Replay a recorded deal from the server seed.
+ * @returns {{ seedMatches: boolean, deckMatches: boolean, deck: string[] }}
+ */
+function verifyDeal(record, serverSeed, serverSeedHash) {
+  const deck = shuffle(createDeck(record.numDecks, record.useJokers), {
+    serverSeed,
+    clientSeed: record.clientSeed,
+    nonce: record.nonce,
+  });
+  return {
+    seedMatches: hashSeed(serverSeed) === serverSeedHash,
+    deckMatches: hashSeed(deck.join(',')) === record.deckHash,
+    deck,
+  };
+}
+
+module.exports = {
+  MAX_CLIENT_SEED_LENGTH,
+  createFairnessState,
+  isValidClientSeed,
+  setClientSeed,
+  openSeedWindow,
+  seedsReady,
+  nextDealSeeds,
+  reshuffleSeeds,
+  dealRecord,
+  reveal,
+  publicState,
+  verifyDeal,
+};
@@ -5,8 +5,37 @@
 
 const { getDecksForPlayers } = require('./deck');
 const { shuffle } = require('./shuffle');
-const { validateDeclare, calculateDeadwood } = require('./validator');
-const { cardPoint, deadwoodPoints } = require('./scoring');
+const {
+  validateDeclare, classifyGroup, remainingAfterGroups, groupsCoverCards, groupsWithinCards,
+} = require('./validator');
+const scoring = require('./scoring');
+const pool = require('./pool');
+const deals = require('./deals');
+const fairness = require('./fairness');
+const access = require('./access');
+const rules = require('./rules');
+const rematch = require('./rematch');
+const bot = require('./bot');
+const solver = require('./solver');
+
+const VARIANTS = ['points', 'pool', 'deals'];
+const SHOW_WINDOW_MS = 30 * 1000;
+const SHOW_FALLBACKS = ['solver', 'full'];
+const WRONG_SHOW_POLICIES = ['penalty', 'reject'];
+const DEFAULT_WRONG_SHOW_PENALTY = 80;
+const DEFAULT_FIRST_DROP_PENALTY = 20;
+const DEFAULT_MIDDLE_DROP_PENALTY = 40;
+const DEFAULT_SPECTATOR_LIMIT = 20;
+// A disconnected player's turn is auto-played after this instead of the full turn time
+const AWAY_TURN_MS = 2000;
+const MAX_SPECTATOR_DELAY_MS = 2 * 60 * 1000;
+// Turn phases: every turn is one pick, then a discard or a declare
+const AWAITING_PICK = 'awaiting_pick';
+const AWAITING_DISCARD_OR_DECLARE = 'awaiting_discard_or_declare';
+// Saves are compare-and-set on room.version; withRoom reruns a mutation this many times before giving up
+const MAX_SAVE_ATTEMPTS = 3;
+const ROOM_CONFLICT = 'ROOM_CONFLICT';
+const BOT_NAMES = ['Arjun', 'Meera', 'Kabir', 'Ananya', 'Rohan', 'Priya', 'Vikram', 'Isha'];
 
 function generateRoomId() {
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
@@ -17,30 +46,109 @@ function generateRoomId() {
   return id;
 }
 
-function createRoom(gameType, maxPlayers, practiceMode, creatorUserId) {
+/**
+ * Create a new room in the waiting state.
+ * @param {object} [options]
+ * @param {string} [options.variant] - 'pool' for Pool Rummy, 'deals' for Deals Rummy, otherwise single-deal Points Rummy
+ * @param {number} [options.poolLimit] - Pool elimination limit (101 or 201)
+ * @param {number} [options.totalDeals] - Number of deals in a Deals Rummy match
+ * @param {number} [options.startingChips] - Chips each player starts a Deals Rummy match with
+ * @param {number} [options.pointValue] - Chips per penalty point in Points Rummy settlement
+ * @param {number} [options.botCount] - Bot seats to fill in a practice room
+ * @param {string} [options.botDifficulty] - 'easy' | 'medium' | 'hard'
+ * @param {string} [options.showFallback] - Grouping used when a loser misses the show window: 'solver' | 'full'
+ * @param {string} [options.wrongShowPolicy] - 'penalty' (wrong declarer pays and leaves the deal) | 'reject'
+ * @param {number} [options.wrongShowPenalty] - Points charged for a wrong declaration
+ * @param {number} [options.firstDropPenalty] - Points charged for dropping before the first pick
+ * @param {number} [options.middleDropPenalty] - Points charged for dropping after picking
+ * @param {number} [options.spectatorLimit] - Most spectators at once (0 = no spectators)
+ * @param {number} [options.spectatorDelayMs] - How far the spectator feed lags behind the table
+ * @param {string} [options.visibility] - 'public' (anyone with the room id) | 'private' (password or invite)
+ * @param {object} [options.rules] - Validated table rules (rules.validateRules); defaults otherwise
+ */
+function createRoom(gameType, maxPlayers, practiceMode, creatorUserId, options = {}) {
   const roomId = generateRoomId();
-  const cardsPerPlayer = gameType === 21 ? 21 : 13;
+  const variant = VARIANTS.includes(options.variant) ? options.variant : 'points';
   return {
     roomId,
+    // Game records (fairness, replay log) are kept per game; a rematch gets `${roomId}-${gameNumber}`
+    gameId: roomId,
+    gameNumber: 1,
     gameType,
     maxPlayers,
     practiceMode,
     creatorUserId,
+    variant,
+    pool: variant === 'pool' ? pool.createPoolState(options.poolLimit || 101) : null,
+    pointValue: options.pointValue || scoring.DEFAULT_POINT_VALUE,
+    botCount: options.botCount || 0,
+    botDifficulty: options.botDifficulty || 'medium',
+    showFallback: SHOW_FALLBACKS.includes(options.showFallback) ? options.showFallback : 'solver',
+    show: null,
+    wrongShowPolicy: WRONG_SHOW_POLICIES.includes(options.wrongShowPolicy) ? options.wrongShowPolicy : 'penalty',
+    wrongShowPenalty: options.wrongShowPenalty || DEFAULT_WRONG_SHOW_PENALTY,
+    firstDropPenalty: options.firstDropPenalty || DEFAULT_FIRST_DROP_PENALTY,
+    middleDropPenalty: options.middleDropPenalty || DEFAULT_MIDDLE_DROP_PENALTY,
+    dropped: {},
+    picked: {},
+    fairness: fairness.createFairnessState(),
+    spectators: [],
+    spectatorLimit: options.spectatorLimit ?? DEFAULT_SPECTATOR_LIMIT,
+    spectatorDelayMs: options.spectatorDelayMs || 0,
+    visibility: access.VISIBILITIES.includes(options.visibility) ? options.visibility : 'public',
+    access: access.createAccessState(),
+    rules: options.rules || { ...rules.DEFAULT_RULES },
+    deals: variant === 'deals' ? deals.createDealsState(options.totalDeals || 2, options.startingChips) : null,
     players: [],
     gameState: 'waiting',
     deck: [],
     discardPile: [],
     joker: null,
     jokerCard: null,
+    wildJokerCard: null,
+    jokerRevealedTo: [],
     currentTurnIndex: 0,
+    startingSeat: 0,
+    turnPhase: null,
+    turnPick: null,
     turnExpiresAt: null,
     turnTimer: null,
     disconnectTimer: null,
     hands: {},
+    rematch: null,
+    series: rematch.createSeries(),
+    // Set while a published server seed hash waits for client seeds (fairness.openSeedWindow)
+    dealsAt: null,
+    version: 0,
     createdAt: Date.now(),
   };
 }
 
+/**
+ * Fill empty seats with bots, up to room.botCount bots in total.
+ * @returns {number} Number of bots added
+ */
+function addBots(room) {
+  const existing = room.players.filter((p) => p.isBot).length;
+  const openSeats = room.maxPlayers - room.players.length;
+  const toAdd = Math.max(0, Math.min(room.botCount - existing, openSeats));
+  const taken = new Set(room.players.map((p) => p.name));
+  const names = BOT_NAMES.filter((n) => !taken.has(`Bot ${n}`));
+
+  for (let i = 0; i < toAdd; i++) {
+    const seat = existing + i + 1;
+    room.players.push({
+      id: null,
+      userId: `bot:${room.roomId}:${seat}`,
+      name: `Bot ${names[i % names.length]}`,
+      isBot: true,
+      difficulty: room.botDifficulty,
+      disconnected: false,
+    });
+  }
+  return toAdd;
+}
+
 async function startGame(room, redis) {
   if (room.gameState !== 'waiting') {
     return { ok: false, reason: 'Game already started' };
@@ -49,21 +157,217 @@ async function startGame(room, redis) {
     return { ok: false, reason: 'Need at least 2 players' };
   }
 
+  room.dealsAt = null;
+  if (room.variant === 'pool') {
+    pool.initPool(room);
+  } else if (room.variant === 'deals') {
+    deals.initDeals(room);
+  }
+  const record = dealRound(room);
+
+  await persistRoom(room, redis);
+  await redis.saveFairnessDeal(gameId(room), room.fairness.serverSeedHash, record);
+  return { ok: true, room };
+}
+
+/**
+ * Put an ended room back to waiting for a rematch with the players still seated: a fresh
+ * server seed and match state, records under the next game id, and the next seat starts.
+ * Client seeds are not carried over; they are taken again once the new seed hash is out.
+ */
+function resetForRematch(room) {
+  room.gameNumber = (room.gameNumber || 1) + 1;
+  room.gameId = `${room.roomId}-${room.gameNumber}`;
+  room.startingSeat = ((room.startingSeat || 0) + 1) % Math.max(1, room.players.length);
+  room.fairness = fairness.createFairnessState();
+  room.dealsAt = null;
+  for (const p of room.players) {
+    p.eliminated = false;
+    p.forfeited = false;
+    p.forfeitAt = null;
+    p.missedTurns = 0;
+  }
+  if (room.pool) room.pool = pool.createPoolState(room.pool.limit);
+  if (room.deals) room.deals = deals.createDealsState(room.deals.totalDeals, room.deals.startingChips);
+
+  room.gameState = 'waiting';
+  room.deck = [];
+  room.discardPile = [];
+  room.joker = null;
+  room.jokerCard = null;
+  room.wildJokerCard = null;
+  room.jokerRevealedTo = [];
+  room.currentTurnIndex = 0;
+  room.turnPhase = null;
+  room.turnPick = null;
+  room.turnExpiresAt = null;
+  room.hands = {};
+  room.dropped = {};
+  room.picked = {};
+  room.show = null;
+  room.winnerIndex = null;
+  room.endReason = null;
+  room.rematch = null;
+}
+
+/**
+ * Deal the next round of a multi-deal match (Pool or Deals Rummy).
+ * Only players still in the match are dealt in.
+ */
+async function startNextRound(room, redis) {
+  if (room.gameState !== 'round_over') {
+    return { ok: false, reason: 'Round not over' };
+  }
+  if (room.variant === 'pool') {
+    room.pool.round += 1;
+  } else if (room.variant === 'deals') {
+    room.deals.dealNumber += 1;
+  }
+  const record = dealRound(room);
+
+  await persistRoom(room, redis);
+  await redis.saveFairnessDeal(gameId(room), room.fairness.serverSeedHash, record);
+  return { ok: true, room };
+}
+
+/** Id the current game's fairness record and replay log are stored under. */
+function gameId(room) {
+  return room.gameId || room.roomId;
+}
+
+/** Append an action to the room's replay log; it is written out with the next save. */
+function logAction(room, type, data = {}) {
+  if (!room.pendingLog) room.pendingLog = [];
+  room.pendingLog.push({ ...data, type, at: Date.now() });
+}
+
+/**
+ * Save the room and append the actions logged since the last save. Every room write goes through here.
+ * Throws an error with code ROOM_CONFLICT if another write landed since the room was loaded;
+ * nothing is saved or logged then.
+ */
+async function persistRoom(room, redis) {
+  const entries = room.pendingLog || [];
+  room.pendingLog = [];
+  if (!(await redis.saveRoom(room))) {
+    const error = new Error('Room was changed by another action, try again');
+    error.code = ROOM_CONFLICT;
+    throw error;
+  }
+  if (entries.length > 0) {
+    await redis.appendRoomLog(gameId(room), entries);
+  }
+}
+
+/**
+ * Load the latest room and run mutate(room) on it. If the save loses a race with another
+ * instance, the room is reloaded and mutate runs again on the fresh state, so it must only
+ * validate and mutate (broadcast afterwards). room is null when the room does not exist.
+ * @param {function(object|null): Promise<*>} mutate
+ * @returns {Promise<{ room: object|null, result: * }>}
+ */
+async function withRoom(roomId, redis, mutate) {
+  for (let attempt = 1; ; attempt++) {
+    const room = await redis.getRoom(roomId);
+    try {
+      const result = await mutate(room);
+      return { room, result };
+    } catch (error) {
+      if (error.code !== ROOM_CONFLICT || attempt >= MAX_SAVE_ATTEMPTS) throw error;
+    }
+  }
+}
+
+/** Still in the current deal: not eliminated from the match and not out of this deal. */
+function isActivePlayer(room, player) {
+  return !player.eliminated && !(room.dropped && room.dropped[player.userId]);
+}
+
+/** Index of the next player after fromIndex who is still in the deal. */
+function nextTurnIndex(room, fromIndex) {
+  const count = room.players.length;
+  for (let step = 1; step <= count; step++) {
+    const index = (fromIndex + step) % count;
+    if (isActivePlayer(room, room.players[index])) return index;
+  }
+  return fromIndex;
+}
+
+/**
+ * Take a player out of the current deal with a fixed penalty.
+ * Ends the deal when only one active player is left; otherwise passes the turn on if it was theirs.
+ * @returns {object|null} The completed deal result, or null if the deal continues
+ */
+function leaveDeal(room, playerIndex, points, reason) {
+  const player = room.players[playerIndex];
+  room.dropped[player.userId] = { points, reason };
+
+  const active = room.players.filter((p) => isActivePlayer(room, p));
+  if (active.length <= 1) {
+    const winnerIndex = room.players.indexOf(active[0]);
+    return completeDeal(room, {
+      declarerIndex: winnerIndex,
+      // The last player left never showed (the others dropped, forfeited or showed wrong): their hand stays concealed
+      winnerHand: null,
+      winnerGrouped: null,
+      scoreBreakdown: null,
+      groupings: {},
+    });
+  }
+
+  if (room.currentTurnIndex === playerIndex) {
+    startTurn(room, nextTurnIndex(room, playerIndex));
+  }
+  return null;
+}
+
+/** Hand the turn to playerIndex, who has to pick before discarding or declaring. */
+function startTurn(room, playerIndex) {
+  const player = room.players[playerIndex];
+  room.currentTurnIndex = playerIndex;
+  room.turnPhase = AWAITING_PICK;
+  room.turnPick = null;
+  room.turnExpiresAt = Date.now() + (player && player.disconnected ? AWAY_TURN_MS : rules.turnDurationMs(room));
+}
+
+/** The card just taken from the discard pile this turn, which may not be thrown straight back. */
+function pickedFromDiscard(room) {
+  return room.turnPick && room.turnPick.source === 'discard' ? room.turnPick.card : null;
+}
+
+/**
+ * Shuffle and deal a new hand to every active player.
+ * @returns {object} Fairness record of the shuffle (see fairness.dealRecord)
+ */
+function dealRound(room) {
   const cardsPerPlayer = room.gameType === 21 ? 21 : 13;
-  const deck = shuffle(getDecksForPlayers(room.players.length, cardsPerPlayer, 2, true));
-  
+  const roomRules = rules.roomRules(room);
+  const numDecks = roomRules.decks;
+  const useJokers = roomRules.printedJokers;
+  room.dropped = {};
+  room.picked = {};
+  const activePlayers = room.players.filter((p) => isActivePlayer(room, p));
+  const seeds = fairness.nextDealSeeds(room, activePlayers);
+  const deck = shuffle(getDecksForPlayers(activePlayers.length, cardsPerPlayer, numDecks, useJokers), seeds);
+  const record = fairness.dealRecord(room, deck, numDecks, useJokers);
+
   room.deck = deck;
+  // Closed: the wild joker is a face-down cut card; open: the first discard's rank is wild
+  room.wildJokerCard = roomRules.wildJoker === 'closed' ? deck.pop() : null;
   room.discardPile = [deck.pop()];
-  room.jokerCard = room.discardPile[0].includes('-') 
-    ? room.discardPile[0].split('-')[0] 
+  const jokerSource = roomRules.wildJoker === 'closed' ? room.wildJokerCard : room.discardPile[0];
+  room.jokerCard = roomRules.wildJoker !== 'none' && jokerSource.includes('-')
+    ? jokerSource.split('-')[0]
     : null;
   room.joker = room.jokerCard;
+  room.jokerRevealedTo = [];
   room.gameState = 'playing';
-  room.currentTurnIndex = 0;
+  // First player still in the match from the starting seat, which moves on with every rematch
+  const count = room.players.length;
+  startTurn(room, nextTurnIndex(room, ((room.startingSeat || 0) + count - 1) % count));
   room.hands = {};
 
-  for (let i = 0; i < room.players.length; i++) {
-    const player = room.players[i];
+  for (const player of activePlayers) {
     const hand = [];
     for (let j = 0; j < cardsPerPlayer; j++) {
       if (deck.length > 0) {
@@ -74,47 +378,92 @@ async function startGame(room, redis) {
     room.hands[player.userId] = hand;
   }
 
-  await redis.saveRoom(room);
-  return { ok: true, room };
+  logAction(room, 'deal', {
+    deal: room.fairness.deal,
+    players: room.players.map((p) => ({ userId: p.userId, name: p.name, isBot: !!p.isBot })),
+    hands: JSON.parse(JSON.stringify(room.hands)),
+    discardPile: [...room.discardPile],
+    joker: room.joker,
+    wildJoker: roomRules.wildJoker,
+    wildJokerCard: room.wildJokerCard,
+    currentTurnIndex: room.currentTurnIndex,
+  });
+  return record;
 }
 
-async function pickCard(room, userId, source, redis) {
-  if (room.gameState !== 'playing') {
-    return { ok: false, reason: 'Game not in progress' };
-  }
-
-  const currentPlayer = room.players[room.currentTurnIndex];
-  if (currentPlayer.userId !== userId) {
-    return { ok: false, reason: 'Not your turn' };
-  }
-
-  if (!room.hands[userId]) {
-    return { ok: false, reason: 'Hand not found' };
-  }
+function markPicked(room, userId, source, card) {
+  logAction(room, 'pick', { userId, source, card });
+  room.picked[userId] = true;
+  room.turnPhase = AWAITING_DISCARD_OR_DECLARE;
+  room.turnPick = { source, card };
+}
 
+/** Move a card from the deck or discard pile into the player's hand (no turn checks). */
+function takeCard(room, userId, source) {
   if (source === 'deck') {
     if (room.deck.length === 0) {
       if (room.discardPile.length > 1) {
         const top = room.discardPile.pop();
-        room.deck = shuffle(room.discardPile);
+        room.deck = shuffle(room.discardPile, fairness.reshuffleSeeds(room));
         room.discardPile = [top];
+        logAction(room, 'reshuffle', { deckSize: room.deck.length });
       } else {
         return { ok: false, reason: 'No cards available' };
       }
     }
     const card = room.deck.pop();
     room.hands[userId].push(card);
+    markPicked(room, userId, source, card);
+    return { ok: true, card };
   } else if (source === 'discard') {
     if (room.discardPile.length === 0) {
       return { ok: false, reason: 'Discard pile is empty' };
     }
     const card = room.discardPile.pop();
     room.hands[userId].push(card);
-  } else {
-    return { ok: false, reason: 'Invalid source' };
+    markPicked(room, userId, source, card);
+    return { ok: true, card };
+  }
+  return { ok: false, reason: 'Invalid source' };
+}
+
+/** takeCard from the preferred source, else from the other one; fails only when neither has a card. */
+function takeAnyCard(room, userId, preferred) {
+  const taken = takeCard(room, userId, preferred);
+  if (taken.ok) return taken;
+  return takeCard(room, userId, preferred === 'deck' ? 'discard' : 'deck');
+}
+
+/** Move a card from the player's hand to the discard pile (no turn checks). */
+function throwCard(room, userId, card) {
+  const hand = room.hands[userId];
+  hand.splice(hand.indexOf(card), 1);
+  room.discardPile.push(card);
+  logAction(room, 'discard', { userId, card });
+}
+
+async function pickCard(room, userId, source, redis) {
+  if (room.gameState !== 'playing') {
+    return { ok: false, reason: 'Game not in progress' };
   }
 
-  await redis.saveRoom(room);
+  const currentPlayer = room.players[room.currentTurnIndex];
+  if (currentPlayer.userId !== userId) {
+    return { ok: false, reason: 'Not your turn' };
+  }
+
+  if (!room.hands[userId]) {
+    return { ok: false, reason: 'Hand not found' };
+  }
+  if (room.turnPhase !== AWAITING_PICK) {
+    return { ok: false, reason: 'Already picked this turn' };
+  }
+
+  const taken = takeCard(room, userId, source);
+  if (!taken.ok) return taken;
+  currentPlayer.missedTurns = 0;
+
+  await persistRoom(room, redis);
   return { ok: true, room };
 }
 
@@ -133,23 +482,78 @@ async function discardCard(room, userId, card, redis) {
     return { ok: false, reason: 'Hand not found' };
   }
 
+  if (room.turnPhase !== AWAITING_DISCARD_OR_DECLARE) {
+    return { ok: false, reason: 'Pick a card first' };
+  }
+
   const cardIndex = hand.indexOf(card);
   if (cardIndex === -1) {
     return { ok: false, reason: 'Card not in hand' };
   }
+  if (card === pickedFromDiscard(room)) {
+    return { ok: false, reason: 'Cannot discard the card you just picked from the discard pile' };
+  }
 
-  hand.splice(cardIndex, 1);
-  room.discardPile.push(card);
+  throwCard(room, userId, card);
 
   // Move to next turn
-  room.currentTurnIndex = (room.currentTurnIndex + 1) % room.players.length;
-  room.turnExpiresAt = Date.now() + (30 * 1000); // 30 seconds
+  startTurn(room, nextTurnIndex(room, room.currentTurnIndex));
 
-  await redis.saveRoom(room);
+  await persistRoom(room, redis);
   return { ok: true, room };
 }
 
-async function declare(room, userId, cards, groupedCards, redis) {
+/**
+ * Pick the card to discard when declaring, and the groups for the rest of the hand.
+ * An explicit finishCard wins; otherwise it is the one card left out of groupedCards,
+ * or the solver's choice when no groups are sent. The solver only treats the wild joker as wild
+ * if this player may see it, so a declare never gives a closed joker away.
+ * @returns {{ ok: boolean, reason?: string, finishCard?: string, rest?: string[], groups?: Array }}
+ */
+function resolveFinish(room, userId, hand, groupedCards, finishCard) {
+  const excluded = pickedFromDiscard(room);
+  const { joker } = jokerFor(room, userId);
+  let groups = groupedCards;
+
+  if (!finishCard && groupedCards) {
+    const left = remainingAfterGroups(hand, groupedCards);
+    if (!left || left.length !== 1) {
+      return { ok: false, reason: 'Leave exactly one card out of your groups to discard' };
+    }
+    finishCard = left[0];
+  } else if (!finishCard) {
+    const found = solver.findFinish(hand, joker, room.gameType, excluded);
+    if (found) {
+      ({ finishCard, groups } = found);
+    } else {
+      // Nothing declares: the whole hand is shown as it is
+      finishCard = hand.find((c) => c !== excluded);
+    }
+  }
+
+  if (!hand.includes(finishCard)) {
+    return { ok: false, reason: 'Finish card not in hand' };
+  }
+  if (finishCard === excluded) {
+    return { ok: false, reason: 'Cannot discard the card you just picked from the discard pile' };
+  }
+
+  const rest = [...hand];
+  rest.splice(rest.indexOf(finishCard), 1);
+  if (!groups) {
+    groups = solver.findDeclaration(rest, joker, room.gameType) || [{ cards: rest }];
+  }
+  return { ok: true, finishCard, rest, groups };
+}
+
+/**
+ * Declare after picking: one card (the finish card) goes to the discard pile and
+ * the rest of the hand must form a valid declaration.
+ * @param {string[]} cards - The declared cards (hand without the finish card)
+ * @param {Array|null} groupedCards - Groups of the declared cards, or null to let the solver group them
+ * @param {string|null} finishCard - Card to discard; derived from groupedCards or the solver when null
+ */
+async function declare(room, userId, cards, groupedCards, finishCard, redis) {
   if (room.gameState !== 'playing') {
     return { ok: false, reason: 'Game not in progress' };
   }
@@ -163,82 +567,609 @@ async function declare(room, userId, cards, groupedCards, redis) {
   if (!hand) {
     return { ok: false, reason: 'Hand not found' };
   }
-  if (hand.length !== cards.length) {
-    return { ok: false, reason: 'Card count mismatch' };
+  if (room.turnPhase !== AWAITING_DISCARD_OR_DECLARE) {
+    return { ok: false, reason: 'Pick a card first' };
+  }
+  const handSize = room.gameType === 21 ? 21 : 13;
+  if (hand.length !== handSize + 1) {
+    return { ok: false, reason: `Declare needs a ${handSize + 1}-card hand` };
   }
 
-  // Use provided groupedCards or default to single group
-  const groups = groupedCards || [{ cards }];
-  const validation = validateDeclare(room.gameType, cards, groups, room.jokerCard);
+  const finish = resolveFinish(room, userId, hand, groupedCards, finishCard);
+  if (!finish.ok) return finish;
+  const { rest, groups } = finish;
+  if (rest.length !== cards.length) {
+    return { ok: false, reason: 'Card count mismatch' };
+  }
+  if (!groupsCoverCards(rest, groups)) {
+    return { ok: false, reason: 'Groups must contain exactly the cards in your hand except the finish card' };
+  }
+  const validation = validateDeclare(room.gameType, rest, groups, room.jokerCard, rules.roomRules(room));
   if (!validation.valid) {
-    return { ok: false, reason: validation.reason };
+    if (room.wrongShowPolicy === 'reject') {
+      return { ok: false, reason: validation.reason };
+    }
+    return wrongDeclaration(room, userId, groups, validation.reason, redis);
   }
 
-  // Game over
-  room.gameState = 'ended';
+  // Valid declaration: the finish card is thrown and the others get a window to show their melds
+  room.hands[userId] = rest;
+  room.discardPile.push(finish.finishCard);
+  room.turnPhase = null;
+  logAction(room, 'declare', { userId, finishCard: finish.finishCard, groups });
   room.winnerIndex = room.currentTurnIndex;
-  const winnerHand = [...hand];
-  const deadwood = calculateDeadwood(cards, groups);
-  const deadwoodPts = deadwoodPoints(cards, groups);
+  room.gameState = 'showing';
+  room.show = {
+    declarerIndex: room.currentTurnIndex,
+    winnerHand: [...rest],
+    winnerGrouped: groups,
+    scoreBreakdown: { pureSequences: validation.pureSequences, sequences: validation.sequences, sets: validation.sets },
+    groupings: {},
+    pending: [],
+    expiresAt: Date.now() + SHOW_WINDOW_MS,
+  };
+  room.players.forEach((p, i) => {
+    if (i === room.show.declarerIndex || !room.hands[p.userId] || !isActivePlayer(room, p)) return;
+    if (p.isBot) {
+      // Bots show the best grouping of their hand straight away
+      room.show.groupings[p.userId] = showFallbackGrouping(room, p.userId, 'solver');
+    } else {
+      room.show.pending.push(p.userId);
+    }
+  });
 
-  const scores = [];
-  for (let i = 0; i < room.players.length; i++) {
-    const p = room.players[i];
-    const pHand = room.hands[p.userId] || [];
-    const pDeadwood = calculateDeadwood(pHand, [{ cards: pHand }]);
-    const pPts = deadwoodPoints(pHand, [{ cards: pHand }]);
-    scores.push({ penalty: pPts, deadwood: pDeadwood.length });
+  if (room.show.pending.length === 0) {
+    const result = completeDeal(room, room.show);
+    await persistRoom(room, redis);
+    return result;
   }
 
-  await redis.saveRoom(room);
+  await persistRoom(room, redis);
   return {
     ok: true,
     room,
+    showing: true,
+    declarerIndex: room.show.declarerIndex,
+    winnerGrouped: groups,
+    pending: room.show.pending,
+    expiresAt: room.show.expiresAt,
+  };
+}
+
+/**
+ * Apply the wrong-show penalty: the declarer pays the full count and leaves the deal.
+ * @returns {Promise<object>} { ok, room, wrongDeclaration, dealResult } where dealResult is set if the deal ended
+ */
+async function wrongDeclaration(room, userId, groups, reason, redis) {
+  const playerIndex = room.players.findIndex((p) => p.userId === userId);
+  // Broadcast with the wrong show, so a closed joker the player has not seen must not shape it
+  const { joker } = jokerFor(room, userId);
+  const invalidGroups = groups.filter((g) => {
+    const groupCards = Array.isArray(g.cards) ? g.cards : g;
+    return !classifyGroup(groupCards, joker);
+  });
+
+  logAction(room, 'wrong_declaration', { userId, reason, groups, penalty: room.wrongShowPenalty });
+  const dealResult = leaveDeal(room, playerIndex, room.wrongShowPenalty, 'wrong_declaration');
+  await persistRoom(room, redis);
+  return {
+    ok: true,
+    room,
+    wrongDeclaration: {
+      userId,
+      playerIndex,
+      reason,
+      groups,
+      invalidGroups,
+      penalty: room.wrongShowPenalty,
+    },
+    dealResult,
+  };
+}
+
+/**
+ * Fold the current hand on your turn: first drop (before any pick this deal) or middle drop.
+ * @returns {Promise<object>} { ok, room, drop, dealResult } where dealResult is set if the deal ended
+ */
+async function dropPlayer(room, userId, redis) {
+  if (room.gameState !== 'playing') {
+    return { ok: false, reason: 'Game not in progress' };
+  }
+
+  const currentPlayer = room.players[room.currentTurnIndex];
+  if (currentPlayer.userId !== userId) {
+    return { ok: false, reason: 'Not your turn' };
+  }
+  if (!room.hands[userId]) {
+    return { ok: false, reason: 'Hand not found' };
+  }
+
+  const type = room.picked[userId] ? 'middle_drop' : 'first_drop';
+  const penalty = type === 'first_drop' ? room.firstDropPenalty : room.middleDropPenalty;
+  const playerIndex = room.currentTurnIndex;
+  logAction(room, 'drop', { userId, drop: type, penalty });
+  const dealResult = leaveDeal(room, playerIndex, penalty, type);
+
+  await persistRoom(room, redis);
+  return {
+    ok: true,
+    room,
+    drop: { userId, playerIndex, type, penalty },
+    dealResult,
+  };
+}
+
+function showFallbackGrouping(room, userId, fallback) {
+  if (fallback === 'full') return [];
+  return solver.solveHand(room.hands[userId], room.jokerCard, room.gameType).groups;
+}
+
+/**
+ * Record a losing player's melds during the show phase.
+ * @returns {Promise<object>} { ok, room, complete } plus the deal result once every show is in
+ */
+async function submitShow(room, userId, groupedCards, redis) {
+  if (room.gameState !== 'showing' || !room.show) {
+    return { ok: false, reason: 'No show in progress' };
+  }
+  if (!room.show.pending.includes(userId)) {
+    return { ok: false, reason: 'Nothing to show' };
+  }
+  const hand = room.hands[userId];
+  if (!hand) {
+    return { ok: false, reason: 'Hand not found' };
+  }
+  if (!groupsWithinCards(hand, groupedCards)) {
+    return { ok: false, reason: 'Groups must only contain cards from your hand' };
+  }
+
+  room.show.groupings[userId] = groupedCards;
+  room.show.pending = room.show.pending.filter((id) => id !== userId);
+  logAction(room, 'show', { userId, groups: groupedCards });
+
+  if (room.show.pending.length === 0) {
+    const result = completeDeal(room, room.show);
+    await persistRoom(room, redis);
+    return { ...result, complete: true };
+  }
+
+  await persistRoom(room, redis);
+  return { ok: true, room, complete: false };
+}
+
+/**
+ * Close the show window: anyone who has not shown is scored with the room's fallback grouping.
+ */
+async function expireShows(room, redis) {
+  if (room.gameState !== 'showing' || !room.show) {
+    return { ok: false, reason: 'No show in progress' };
+  }
+  for (const userId of room.show.pending) {
+    room.show.groupings[userId] = showFallbackGrouping(room, userId, room.showFallback);
+  }
+  logAction(room, 'show_timeout', {
+    userIds: room.show.pending,
+    groupings: Object.fromEntries(room.show.pending.map((id) => [id, room.show.groupings[id]])),
+  });
+  room.show.pending = [];
+
+  const result = completeDeal(room, room.show);
+  await persistRoom(room, redis);
+  return result;
+}
+
+/**
+ * Score the deal and apply the variant's settlement.
+ * Multi-deal variants keep the room alive for the next deal.
+ * @param {object} show - { declarerIndex, winnerHand, winnerGrouped, scoreBreakdown, groupings } (room.show once every show is in)
+ */
+function completeDeal(room, show) {
+  room.gameState = room.variant === 'points' ? 'ended' : 'round_over';
+  room.winnerIndex = show.declarerIndex;
+
+  const scores = scoring.scoreDeal(room, show.declarerIndex, show.groupings);
+
+  let settlement = null;
+  let poolResult = null;
+  let dealResult = null;
+  if (room.variant === 'points') {
+    settlement = scoring.settlePoints(room, scores, room.winnerIndex);
+  } else if (room.variant === 'pool') {
+    poolResult = pool.applyRoundScores(room, room.winnerIndex, scores);
+  } else if (room.variant === 'deals') {
+    dealResult = deals.settleDeal(room, room.winnerIndex, scores);
+  }
+  const matchResult = poolResult || dealResult;
+  if (matchResult && matchResult.matchOver) {
+    room.gameState = 'ended';
+    room.winnerIndex = matchResult.winnerIndex;
+  }
+
+  const groupings = room.players.map((p, i) => (
+    i === show.declarerIndex ? show.winnerGrouped : (show.groupings[p.userId] || null)
+  ));
+  room.show = null;
+  const revealed = room.gameState === 'ended' ? fairness.reveal(room) : null;
+
+  logAction(room, 'deal_end', { roundWinnerIndex: show.declarerIndex, scores, groupings });
+  if (room.gameState === 'ended') {
+    logAction(room, 'game_over', { winnerIndex: room.winnerIndex });
+    rematch.recordResult(room, room.winnerIndex);
+  }
+
+  return {
+    ok: true,
+    room,
+    settlement,
+    poolResult,
+    dealResult,
+    roundWinnerIndex: show.declarerIndex,
     winnerIndex: room.winnerIndex,
-    winnerHand,
+    winnerHand: show.winnerHand,
     scores,
-    winnerGrouped: groups,
-    scoreBreakdown: { pureSequences: validation.pureSequences, sequences: validation.sequences, sets: validation.sets },
+    winnerGrouped: show.winnerGrouped,
+    groupings,
+    scoreBreakdown: show.scoreBreakdown,
+    fairness: revealed,
+  };
+}
+
+/**
+ * Room as sent to clients: no hands and no deck, only how many cards each holds (players get their
+ * own hand in `your_hand`), and the server seed stays secret until the game ends.
+ */
+function publicRoom(room) {
+  const { hands, deck, turnPick, ...rest } = room;
+  const handCounts = {};
+  for (const [userId, hand] of Object.entries(hands || {})) {
+    handCounts[userId] = hand.length;
+  }
+  const visible = {
+    ...rest,
+    deckCount: (deck || []).length,
+    handCounts,
+    fairness: fairness.publicState(room.fairness),
+    access: access.publicState(room.access),
   };
+  if (isJokerHidden(room)) {
+    visible.joker = null;
+    visible.jokerCard = null;
+    visible.wildJokerCard = null;
+  }
+  return visible;
 }
 
+/** Closed joker that is still face down for anyone who has not shown a pure sequence. */
+function isJokerHidden(room) {
+  return rules.roomRules(room).wildJoker === 'closed' && room.gameState !== 'ended' && !!room.wildJokerCard;
+}
+
+/** The wild joker as this player may see it (null while it is hidden from them). */
+function jokerFor(room, userId) {
+  if (isJokerHidden(room) && !(room.jokerRevealedTo || []).includes(userId)) {
+    return { joker: null, wildJokerCard: null };
+  }
+  return { joker: room.joker, wildJokerCard: room.wildJokerCard };
+}
+
+/**
+ * Closed joker: a player who shows a pure sequence from their hand gets to see the cut card.
+ * @param {string[]} cards - A pure sequence of cards in the player's hand
+ */
+async function revealJoker(room, userId, cards, redis) {
+  if (room.gameState !== 'playing') {
+    return { ok: false, reason: 'Game not in progress' };
+  }
+  if (rules.roomRules(room).wildJoker !== 'closed') {
+    return { ok: false, reason: 'This room does not use a closed joker' };
+  }
+  const hand = room.hands[userId];
+  if (!hand) {
+    return { ok: false, reason: 'Hand not found' };
+  }
+  if (room.jokerRevealedTo.includes(userId)) {
+    return { ok: true, room, ...jokerFor(room, userId) };
+  }
+  if (!Array.isArray(cards) || !remainingAfterGroups(hand, [cards])) {
+    return { ok: false, reason: 'Cards must be in your hand' };
+  }
+  // Wilds are not known yet, so only natural runs count (a printed joker is never pure)
+  if (classifyGroup(cards, null) !== 'pure') {
+    return { ok: false, reason: 'Not a pure sequence' };
+  }
+
+  room.jokerRevealedTo.push(userId);
+  logAction(room, 'joker_revealed', { userId, cards });
+  await persistRoom(room, redis);
+  return { ok: true, room, ...jokerFor(room, userId) };
+}
+
+/** Room as sent to spectators: the same view players get of the table. */
+function spectatorRoom(room) {
+  return publicRoom(room);
+}
+
+/**
+ * Add a spectator (not one of the seated players) if the room has space.
+ * @param {{ id: string, userId: string, name: string }} spectator
+ */
+function addSpectator(room, spectator) {
+  if (!room.spectators) room.spectators = [];
+  if (room.gameState === 'ended') {
+    return { ok: false, reason: 'Game is over' };
+  }
+  if (room.players.some((p) => p.userId === spectator.userId)) {
+    return { ok: false, reason: 'Players cannot spectate their own room' };
+  }
+  room.spectators = room.spectators.filter((s) => s.userId !== spectator.userId);
+  if (room.spectators.length >= room.spectatorLimit) {
+    return { ok: false, reason: 'Spectator limit reached' };
+  }
+  room.spectators.push(spectator);
+  return { ok: true, count: room.spectators.length };
+}
+
+/** Remove the spectator on this socket; returns false if there was none. */
+function removeSpectator(room, socketId) {
+  const before = (room.spectators || []).length;
+  room.spectators = (room.spectators || []).filter((s) => s.id !== socketId);
+  return room.spectators.length !== before;
+}
+
+/**
+ * Turn timer ran out for a human: draw from the deck (the discard pile if the deck is out) if
+ * they have not picked, then throw the drawn card (or any other card if they took from the
+ * discard pile). With nothing left to draw the turn just passes.
+ */
+async function autoPlay(room, redis) {
+  if (room.gameState !== 'playing') {
+    return { ok: false, reason: 'Game not in progress' };
+  }
+  const userId = room.players[room.currentTurnIndex].userId;
+  const hand = room.hands[userId];
+  if (!hand) {
+    return { ok: false, reason: 'Hand not found' };
+  }
+
+  logAction(room, 'timeout', { userId });
+  if (room.turnPhase === AWAITING_PICK) {
+    takeAnyCard(room, userId, 'deck');
+  }
+  const pick = room.turnPick;
+  const card = pick && (pick.source === 'deck' ? pick.card : hand.find((c) => c !== pick.card));
+  if (card) {
+    throwCard(room, userId, card);
+  }
+  const playerIndex = room.currentTurnIndex;
+  const player = room.players[playerIndex];
+  startTurn(room, nextTurnIndex(room, playerIndex));
+
+  const outcomes = [];
+  player.missedTurns = (player.missedTurns || 0) + 1;
+  if (player.missedTurns >= rules.roomRules(room).maxMissedTurns) {
+    outcomes.push(forfeitPlayer(room, playerIndex, 'missed_turns'));
+  }
+
+  await persistRoom(room, redis);
+  return { ok: true, room, ...combineForfeits(outcomes) };
+}
+
+function gameInProgress(room) {
+  return room.gameState === 'playing' || room.gameState === 'showing' || room.gameState === 'round_over';
+}
+
+/**
+ * The player on this socket lost their connection (or left). During a game their turns are
+ * auto-played quickly and they forfeit once the grace period runs out, unless they rejoin.
+ * @returns {{ ok: true, player: object, forfeitAt: number|null, turnShortened: boolean } | { ok: false, reason: string }}
+ */
+function markAway(room, socketId) {
+  const player = room.players.find((p) => p.id === socketId);
+  if (!player) return { ok: false, reason: 'Player not in room' };
+  const alreadyAway = player.disconnected;
+  player.disconnected = true;
+  let turnShortened = false;
+  if (!gameInProgress(room) || player.eliminated) {
+    player.forfeitAt = null;
+  } else if (!alreadyAway || !player.forfeitAt) {
+    player.forfeitAt = Date.now() + rules.roomRules(room).disconnectGraceSeconds * 1000;
+    if (room.gameState === 'playing' && room.players[room.currentTurnIndex] === player) {
+      const awayExpiry = Date.now() + AWAY_TURN_MS;
+      turnShortened = awayExpiry < room.turnExpiresAt;
+      if (turnShortened) room.turnExpiresAt = awayExpiry;
+    }
+  }
+  return { ok: true, player, forfeitAt: player.forfeitAt, turnShortened };
+}
+
+/** Rejoined in time: the forfeit countdown stops. */
+function markBack(room, player) {
+  player.disconnected = false;
+  player.forfeitAt = null;
+}
+
+/** Earliest pending forfeit among disconnected players, or null. */
+function nextForfeitAt(room) {
+  const due = room.players
+    .filter((p) => p.disconnected && !p.forfeited && p.forfeitAt)
+    .map((p) => p.forfeitAt);
+  return due.length > 0 ? Math.min(...due) : null;
+}
+
+/**
+ * Take a player out of the game for good: out of the current deal with the full penalty and
+ * eliminated from the rest of the match; they count as a loss when the game is rated.
+ * @returns {{ forfeit: object, dealResult: object|null, abandoned: boolean }}
+ */
+function forfeitPlayer(room, playerIndex, reason) {
+  const player = room.players[playerIndex];
+  const inDeal = room.gameState === 'playing' && isActivePlayer(room, player);
+  player.forfeited = true;
+  player.forfeitAt = null;
+  player.eliminated = true;
+  logAction(room, 'forfeit', { userId: player.userId, reason });
+  const forfeit = { userId: player.userId, playerIndex, reason };
+
+  if (!room.players.some((p) => !p.isBot && !p.forfeited)) {
+    return { forfeit, dealResult: null, abandoned: true, fairness: abandonRoom(room) };
+  }
+  if (inDeal) {
+    return { forfeit, dealResult: leaveDeal(room, playerIndex, scoring.MAX_PENALTY, 'forfeit'), abandoned: false };
+  }
+  if (room.gameState === 'round_over') {
+    const contenders = room.players.filter((p) => !p.eliminated);
+    if (contenders.length === 1) {
+      return { forfeit, dealResult: endMatch(room, room.players.indexOf(contenders[0])), abandoned: false };
+    }
+  }
+  return { forfeit, dealResult: null, abandoned: false };
+}
+
+/**
+ * Every human forfeited: the room ends without a winner.
+ * @returns {object} The fairness reveal
+ */
+function abandonRoom(room) {
+  room.gameState = 'ended';
+  room.endReason = 'abandoned';
+  room.winnerIndex = null;
+  room.show = null;
+  logAction(room, 'game_over', { winnerIndex: null, abandoned: true });
+  rematch.recordResult(room, null);
+  return fairness.reveal(room);
+}
+
+/** A multi-deal match ends between deals because only one player is left in it. */
+function endMatch(room, winnerIndex) {
+  room.gameState = 'ended';
+  room.winnerIndex = winnerIndex;
+  logAction(room, 'game_over', { winnerIndex });
+  rematch.recordResult(room, winnerIndex);
+  return {
+    ok: true,
+    room,
+    winnerIndex,
+    roundWinnerIndex: winnerIndex,
+    scores: [],
+    winnerHand: [],
+    winnerGrouped: null,
+    groupings: [],
+    scoreBreakdown: null,
+    fairness: fairness.reveal(room),
+  };
+}
+
+/** Merge forfeit outcomes: at most one of them can finish the deal or abandon the room. */
+function combineForfeits(outcomes) {
+  return {
+    forfeits: outcomes.map((o) => o.forfeit),
+    dealResult: (outcomes.find((o) => o.dealResult) || {}).dealResult || null,
+    abandoned: outcomes.some((o) => o.abandoned),
+    fairness: (outcomes.find((o) => o.fairness) || {}).fairness || null,
+  };
+}
+
+/** Forfeit every disconnected player whose grace period has run out. */
+async function forfeitAway(room, redis) {
+  const now = Date.now();
+  const outcomes = [];
+  room.players.forEach((p, index) => {
+    if (room.gameState === 'ended') return;
+    if (p.disconnected && !p.forfeited && p.forfeitAt && p.forfeitAt <= now) {
+      outcomes.push(forfeitPlayer(room, index, 'disconnected'));
+    }
+  });
+  if (outcomes.length === 0) return { ok: false, reason: 'Nothing to forfeit' };
+
+  await persistRoom(room, redis);
+  return { ok: true, room, ...combineForfeits(outcomes) };
+}
+
+/** Closed joker: a bot holding a pure sequence shows it to see the cut card, as a player would. */
+async function botRevealJoker(room, botUserId, redis) {
+  if (!isJokerHidden(room) || room.jokerRevealedTo.includes(botUserId)) return;
+  const { groups } = solver.solveHand(room.hands[botUserId], null, room.gameType);
+  const pure = groups.find((g) => classifyGroup(g.cards, null) === 'pure');
+  if (pure) await revealJoker(room, botUserId, pure.cards, redis);
+}
+
+/**
+ * Play the current bot's turn: declare if the hand is complete, otherwise draw from
+ * the better source and throw the least useful card. With no card left to draw
+ * anywhere the bot passes.
+ * @returns {Promise<{ok: boolean, room: object, declareResult: object|null}|undefined>}
+ */
 async function botPlay(room, redis) {
   const currentPlayer = room.players[room.currentTurnIndex];
   if (!currentPlayer.isBot) return;
 
-  // Simple bot: pick from deck, discard random card
   const botUserId = currentPlayer.userId;
   const hand = room.hands[botUserId] || [];
+  room.hands[botUserId] = hand;
 
-  // Pick from deck
-  if (room.deck.length > 0) {
-    const card = room.deck.pop();
-    hand.push(card);
-    room.hands[botUserId] = hand;
+  // Bots play by the closed-joker rule too: the cut card only counts once they have shown a pure sequence
+  await botRevealJoker(room, botUserId, redis);
+  const discardTop = room.discardPile[room.discardPile.length - 1];
+  const source = bot.chooseDraw(hand, discardTop, jokerFor(room, botUserId).joker, room.gameType, currentPlayer.difficulty);
+  const taken = takeAnyCard(room, botUserId, source);
+  if (taken.ok) await botRevealJoker(room, botUserId, redis);
+  const { joker } = jokerFor(room, botUserId);
+
+  const finish = taken.ok && bot.findFinish(hand, joker, room.gameType, pickedFromDiscard(room));
+  if (finish) {
+    const rest = [...hand];
+    rest.splice(rest.indexOf(finish.finishCard), 1);
+    const declareResult = await declare(room, botUserId, rest, finish.groups, finish.finishCard, redis);
+    if (declareResult.ok) return { ok: true, room, declareResult };
   }
 
-  // Discard random card
-  if (hand.length > 0) {
-    const discardIndex = Math.floor(Math.random() * hand.length);
-    const discarded = hand.splice(discardIndex, 1)[0];
-    room.discardPile.push(discarded);
-    room.hands[botUserId] = hand;
+  if (taken.ok) {
+    const keep = pickedFromDiscard(room) ? taken.card : undefined;
+    const discarded = bot.chooseDiscard(hand, joker, room.gameType, keep, currentPlayer.difficulty);
+    throwCard(room, botUserId, discarded);
   }
 
   // Move to next turn
-  room.currentTurnIndex = (room.currentTurnIndex + 1) % room.players.length;
-  room.turnExpiresAt = Date.now() + (30 * 1000);
+  startTurn(room, nextTurnIndex(room, room.currentTurnIndex));
 
-  await redis.saveRoom(room);
-  return room;
+  await persistRoom(room, redis);
+  return { ok: true, room, declareResult: null };
 }
 
 module.exports = {
   createRoom,
+  persistRoom,
+  withRoom,
+  addBots,
   startGame,
+  startNextRound,
+  nextTurnIndex,
   pickCard,
   discardCard,
   declare,
+  dropPlayer,
+  submitShow,
+  expireShows,
   botPlay,
+  autoPlay,
   generateRoomId,
+  publicRoom,
+  spectatorRoom,
+  addSpectator,
+  removeSpectator,
+  revealJoker,
+  jokerFor,
+  gameId,
+  resetForRematch,
+  markAway,
+  markBack,
+  nextForfeitAt,
+  forfeitAway,
+  ROOM_CONFLICT,
+  VARIANTS,
+  SHOW_FALLBACKS,
+  WRONG_SHOW_POLICIES,
+  MAX_SPECTATOR_DELAY_MS,
+  AWAITING_PICK,
+  AWAITING_DISCARD_OR_DECLARE,
 };
@@ -0,0 +1,133 @@
+/**
+ * Glicko-2 rating system for multiplayer Rummy (Glickman, "Example of the Glicko-2 system").
+ * Selected with RATING_SYSTEM=glicko2; ELO (game/elo.js) stays the default.
+ * Every player has a rating, a rating deviation (RD: how sure we are of the rating) and a
+ * volatility. A game is one rating period in which the player meets every other real player,
+ * scored like ELO: the winner scores 1 against everyone, a loser 0 against the winner and 0.5
+ * against the other losers.
+ * RD grows back toward 350 while a player is inactive (one step per idle RATING_PERIOD_DAYS).
+ * Ratings use the same scale as ELO and start at 1000.
+ */
+
+const BASE_RATING = 1000;
+const DEFAULT_RD = 350;
+const MIN_RD = 30;
+const DEFAULT_VOLATILITY = 0.06;
+// System constant: how much volatility may change per period
+const TAU = 0.5;
+const SCALE = 173.7178;
+const CONVERGENCE = 0.000001;
+const RATING_PERIOD_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// ELO ratings carried over: RD shrinks by this much per game played, down to MIGRATED_MIN_RD
+const MIGRATED_RD_STEP = 10;
+const MIGRATED_MIN_RD = 60;
+
+/**
+ * Glicko-2 fields for a player rated with ELO so far: the rating is kept, and the more games
+ * they have played the more certain it is.
+ * @returns {{ rating: number, rd: number, volatility: number }}
+ */
+function migrateFromElo(rating, totalGames) {
+  const rd = Math.max(MIGRATED_MIN_RD, DEFAULT_RD - MIGRATED_RD_STEP * (totalGames || 0));
+  return { rating, rd, volatility: DEFAULT_VOLATILITY };
+}
+
+/** RD after the idle rating periods since lastRatedAt (never above 350). */
+function currentDeviation(rd, volatility, lastRatedAt, now = Date.now()) {
+  if (!lastRatedAt) return rd;
+  const periods = Math.floor(Math.max(0, now - lastRatedAt) / (RATING_PERIOD_DAYS * DAY_MS));
+  if (periods === 0) return rd;
+  const phi = rd / SCALE;
+  return Math.min(DEFAULT_RD, SCALE * Math.sqrt(phi * phi + periods * volatility * volatility));
+}
+
+function g(phi) {
+  return 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+}
+
+function expectedScore(mu, muOpponent, phiOpponent) {
+  return 1 / (1 + Math.exp(-g(phiOpponent) * (mu - muOpponent)));
+}
+
+/** New volatility by the Illinois algorithm (step 5 of the paper). */
+function nextVolatility(phi, volatility, v, delta) {
+  const a = Math.log(volatility * volatility);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const d = phi * phi + v + ex;
+    return (ex * (delta * delta - phi * phi - v - ex)) / (2 * d * d) - (x - a) / (TAU * TAU);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k++;
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > CONVERGENCE) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+    B = C;
+    fB = fC;
+  }
+  return Math.exp(A / 2);
+}
+
+/**
+ * Rate a player after a multiplayer game.
+ * @param {{ rating: number, rd: number, volatility: number, lastRatedAt?: number, won: boolean }} player
+ * @param {Array<{ rating: number, rd: number, volatility: number, lastRatedAt?: number, won: boolean }>} opponents - Other real players
+ * @returns {{ rating: number, rd: number, volatility: number }}
+ */
+function calculateNewRating(player, opponents, now = Date.now()) {
+  const rd = currentDeviation(player.rd, player.volatility, player.lastRatedAt, now);
+  if (opponents.length === 0) return { rating: player.rating, rd, volatility: player.volatility };
+
+  const mu = (player.rating - BASE_RATING) / SCALE;
+  const phi = rd / SCALE;
+  let vInverse = 0;
+  let improvement = 0;
+  for (const opponent of opponents) {
+    const muOpponent = (opponent.rating - BASE_RATING) / SCALE;
+    const phiOpponent = currentDeviation(opponent.rd, opponent.volatility, opponent.lastRatedAt, now) / SCALE;
+    const expected = expectedScore(mu, muOpponent, phiOpponent);
+    const score = player.won ? 1 : (opponent.won ? 0 : 0.5);
+    vInverse += g(phiOpponent) * g(phiOpponent) * expected * (1 - expected);
+    improvement += g(phiOpponent) * (score - expected);
+  }
+  const v = 1 / vInverse;
+  const delta = v * improvement;
+
+  const volatility = nextVolatility(phi, player.volatility, v, delta);
+  const phiStar = Math.sqrt(phi * phi + volatility * volatility);
+  const phiNew = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const muNew = mu + phiNew * phiNew * improvement;
+
+  return {
+    rating: Math.round(SCALE * muNew + BASE_RATING),
+    rd: Math.round(Math.min(DEFAULT_RD, Math.max(MIN_RD, SCALE * phiNew)) * 100) / 100,
+    volatility: Math.round(volatility * 1e6) / 1e6,
+  };
+}
+
+module.exports = {
+  DEFAULT_RD,
+  DEFAULT_VOLATILITY,
+  RATING_PERIOD_DAYS,
+  migrateFromElo,
+  currentDeviation,
+  calculateNewRating,
+};
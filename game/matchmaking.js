@@ -0,0 +1,61 @@
+/**
+ * Rating-aware matchmaking.
+ * Players queue per game type and table size. A table is formed around the longest-waiting
+ * player from the queued players closest to their rating, as long as everyone is inside that
+ * player's rating window, which widens the longer they wait.
+ */
+
+const GAME_TYPES = [13, 21];
+// Two decks and jokers are enough cards for this many hands
+const MAX_TABLE_SIZE = { 13: 6, 21: 4 };
+const BASE_RATING_WINDOW = 100;
+const RATING_WINDOW_STEP = 50;
+const RATING_WINDOW_STEP_MS = 10 * 1000;
+const MAX_RATING_WINDOW = 600;
+
+function isValidQueue(gameType, maxPlayers) {
+  return GAME_TYPES.includes(gameType)
+    && Number.isInteger(maxPlayers) && maxPlayers >= 2 && maxPlayers <= MAX_TABLE_SIZE[gameType];
+}
+
+/** Largest rating gap accepted after waiting waitedMs. */
+function ratingWindow(waitedMs) {
+  const steps = Math.floor(Math.max(0, waitedMs) / RATING_WINDOW_STEP_MS);
+  return Math.min(MAX_RATING_WINDOW, BASE_RATING_WINDOW + steps * RATING_WINDOW_STEP);
+}
+
+/**
+ * Tables that can be seated from one queue right now.
+ * @param {Array<{ userId: string, rating: number, joinedAt: number }>} entries
+ * @param {number} tableSize
+ * @param {number} [now]
+ * @returns {Array<Array<object>>} Groups of exactly tableSize entries, no entry in two groups
+ */
+function findMatches(entries, tableSize, now = Date.now()) {
+  const waiting = [...entries].sort((a, b) => a.joinedAt - b.joinedAt);
+  const seated = new Set();
+  const groups = [];
+
+  for (const anchor of waiting) {
+    if (seated.has(anchor.userId)) continue;
+    const window = ratingWindow(now - anchor.joinedAt);
+    const candidates = waiting
+      .filter((e) => e.userId !== anchor.userId && !seated.has(e.userId))
+      .filter((e) => Math.abs(e.rating - anchor.rating) <= window)
+      .sort((a, b) => Math.abs(a.rating - anchor.rating) - Math.abs(b.rating - anchor.rating) || a.joinedAt - b.joinedAt);
+    if (candidates.length < tableSize - 1) continue;
+
+    const group = [anchor, ...candidates.slice(0, tableSize - 1)];
+    for (const e of group) seated.add(e.userId);
+    groups.push(group);
+  }
+  return groups;
+}
+
+module.exports = {
+  GAME_TYPES,
+  MAX_TABLE_SIZE,
+  isValidQueue,
+  ratingWindow,
+  findMatches,
+};
@@ -0,0 +1,88 @@
+/**
+ * Pool Rummy: penalty points accumulate across deals and a player is
+ * eliminated once their total reaches the pool limit (101 or 201).
+ * The room keeps redealing until a single player survives.
+ * State lives on room.pool = { limit, round, totals: { [userId]: points } }.
+ */
+
+const POOL_LIMITS = [101, 201];
+
+function createPoolState(limit) {
+  return { limit, round: 0, totals: {} };
+}
+
+function isValidPoolLimit(limit) {
+  return POOL_LIMITS.includes(limit);
+}
+
+/** Reset totals for the seated players at the start of a pool match. */
+function initPool(room) {
+  room.pool.round = 1;
+  room.pool.totals = {};
+  for (const p of room.players) {
+    room.pool.totals[p.userId] = 0;
+    p.eliminated = false;
+  }
+}
+
+function getSurvivors(room) {
+  return room.players.filter((p) => !p.eliminated);
+}
+
+/**
+ * Current standings, lowest total first.
+ * @returns {Array<{userId: string, name: string, total: number, eliminated: boolean}>}
+ */
+function getStandings(room) {
+  return room.players
+    .map((p) => ({
+      userId: p.userId,
+      name: p.name,
+      total: room.pool.totals[p.userId] || 0,
+      eliminated: !!p.eliminated,
+    }))
+    .sort((a, b) => a.total - b.total);
+}
+
+/**
+ * Add one deal's penalties to the running totals and eliminate anyone at or over the limit.
+ * The declaring winner scores 0 for the deal.
+ * @param {object} room
+ * @param {number} winnerIndex - Index into room.players of the player who declared
+ * @param {Array<{penalty: number}>} scores - Per-player scores from gameManager.declare
+ * @returns {{ eliminated: Array<{userId: string, name: string, total: number}>, standings: Array, matchOver: boolean, winnerIndex: number }}
+ */
+function applyRoundScores(room, winnerIndex, scores) {
+  const eliminated = [];
+  for (let i = 0; i < room.players.length; i++) {
+    const p = room.players[i];
+    if (p.eliminated) continue;
+    const points = i === winnerIndex ? 0 : (scores[i]?.penalty || 0);
+    room.pool.totals[p.userId] = (room.pool.totals[p.userId] || 0) + points;
+    if (room.pool.totals[p.userId] >= room.pool.limit) {
+      p.eliminated = true;
+      eliminated.push({ userId: p.userId, name: p.name, total: room.pool.totals[p.userId] });
+    }
+  }
+
+  // The deal winner adds 0, so there is always at least one survivor
+  const survivors = getSurvivors(room);
+  const matchOver = survivors.length === 1;
+
+  return {
+    eliminated,
+    standings: getStandings(room),
+    matchOver,
+    winnerIndex: matchOver ? room.players.indexOf(survivors[0]) : winnerIndex,
+  };
+}
+
+module.exports = {
+  POOL_LIMITS,
+  createPoolState,
+  isValidPoolLimit,
+  initPool,
+  getSurvivors,
+  getStandings,
+  applyRoundScores,
+};
@@ -0,0 +1,88 @@
+/**
+ * Rematch: an ended room goes back to `waiting` with the same seats and plays again.
+ * Any seated player can ask; every human still seated has to accept. Players who decline, leave
+ * or are not connected when it is asked for lose their seat. The vote lives on
+ * room.rematch = { requestedBy, accepted: [userId] }, and the running head-to-head score of the
+ * room on room.series = { games, wins: { [userId]: count }, lastGameId }.
+ */
+
+function createSeries() {
+  return { games: 0, wins: {}, lastGameId: null };
+}
+
+function humans(room) {
+  return room.players.filter((p) => !p.isBot);
+}
+
+/** Count a finished game once, whoever triggered the end. winnerIndex is null when nobody won. */
+function recordResult(room, winnerIndex) {
+  if (!room.series) room.series = createSeries();
+  const gameId = room.gameId || room.roomId;
+  if (room.series.lastGameId === gameId) return;
+  room.series.lastGameId = gameId;
+  room.series.games += 1;
+  const winner = winnerIndex != null ? room.players[winnerIndex] : null;
+  if (winner) room.series.wins[winner.userId] = (room.series.wins[winner.userId] || 0) + 1;
+}
+
+/** Free a seat; the room goes to the next human if its creator leaves. */
+function removeSeat(room, userId) {
+  const index = room.players.findIndex((p) => p.userId === userId);
+  if (index === -1) return null;
+  const [player] = room.players.splice(index, 1);
+  delete room.fairness.clientSeeds[userId];
+  if (room.rematch) room.rematch.accepted = room.rematch.accepted.filter((id) => id !== userId);
+  if (room.creatorUserId === userId) {
+    const next = humans(room)[0];
+    if (next) room.creatorUserId = next.userId;
+  }
+  return player;
+}
+
+function voteStatus(room) {
+  const seated = humans(room).map((p) => p.userId);
+  if (seated.length === 0) room.rematch = null;
+  if (!room.rematch) return { requestedBy: null, accepted: [], pending: [], ready: false, cancelled: true };
+  const pending = seated.filter((id) => !room.rematch.accepted.includes(id));
+  return { requestedBy: room.rematch.requestedBy, accepted: room.rematch.accepted, pending, ready: pending.length === 0, cancelled: false };
+}
+
+/**
+ * Accept (or decline, which gives up the seat) a rematch that has been asked for.
+ * @returns {{ ok: true, removed: Array<object>, requestedBy: string|null, accepted: string[], pending: string[], ready: boolean, cancelled: boolean } | { ok: false, reason: string }}
+ */
+function answerRematch(room, userId, accept) {
+  if (room.gameState !== 'ended' || !room.rematch) return { ok: false, reason: 'No rematch requested' };
+  if (!humans(room).some((p) => p.userId === userId)) return { ok: false, reason: 'Player not in room' };
+
+  const removed = [];
+  if (accept) {
+    if (!room.rematch.accepted.includes(userId)) room.rematch.accepted.push(userId);
+  } else {
+    removed.push(removeSeat(room, userId));
+  }
+  return { ok: true, removed, ...voteStatus(room) };
+}
+
+/**
+ * Ask for a rematch (an accept by the asker). Anyone not connected right now loses their seat.
+ * Asking when a rematch is already up for a vote accepts it.
+ */
+function requestRematch(room, userId) {
+  if (room.gameState !== 'ended') return { ok: false, reason: 'Game not over' };
+  if (!humans(room).some((p) => p.userId === userId)) return { ok: false, reason: 'Player not in room' };
+  if (room.rematch) return answerRematch(room, userId, true);
+
+  room.rematch = { requestedBy: userId, accepted: [] };
+  const away = humans(room).filter((p) => p.disconnected && p.userId !== userId);
+  const removed = away.map((p) => removeSeat(room, p.userId));
+  const answer = answerRematch(room, userId, true);
+  return { ...answer, removed: [...removed, ...answer.removed] };
+}
+
+module.exports = {
+  createSeries,
+  recordResult,
+  requestRematch,
+  answerRematch,
+};
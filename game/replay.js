@@ -0,0 +1,57 @@
+/**
+ * Game replay from the per-room action log.
+ * Cards only their holder could see (dealt hands, cards drawn from the deck) are masked for
+ * anyone who did not play in the room; players see their own cards during the game and every
+ * card once it is over.
+ */
+
+const HIDDEN_CARD = 'HIDDEN';
+
+function maskCards(cards) {
+  return cards.map(() => HIDDEN_CARD);
+}
+
+/**
+ * Log as the viewer may see it.
+ * @param {object[]} log - Entries in the order they were applied
+ * @param {string} [viewerUserId]
+ * @returns {{ participant: boolean, finished: boolean, initialDeal: object|null, log: object[] }}
+ */
+function buildReplay(log, viewerUserId) {
+  const participant = !!viewerUserId && log.some((e) => (
+    e.type === 'deal' && e.players.some((p) => p.userId === viewerUserId)
+  ));
+  const finished = log.some((e) => e.type === 'game_over');
+  const canSee = (ownerId) => participant && (finished || ownerId === viewerUserId);
+  // A closed joker stays face down for everyone until the game is over
+  const hideJoker = (entry) => entry.wildJoker === 'closed' && !finished;
+
+  const visible = log.map((entry) => {
+    if (entry.type === 'deal') {
+      const hands = {};
+      for (const [userId, hand] of Object.entries(entry.hands)) {
+        hands[userId] = canSee(userId) ? hand : maskCards(hand);
+      }
+      if (hideJoker(entry)) {
+        return { ...entry, hands, joker: null, wildJokerCard: HIDDEN_CARD };
+      }
+      return { ...entry, hands };
+    }
+    if (entry.type === 'pick' && entry.source === 'deck' && !canSee(entry.userId)) {
+      return { ...entry, card: HIDDEN_CARD };
+    }
+    return entry;
+  });
+
+  return {
+    participant,
+    finished,
+    initialDeal: visible.find((e) => e.type === 'deal') || null,
+    log: visible,
+  };
+}
+
+module.exports = {
+  HIDDEN_CARD,
+  buildReplay,
+};
@@ -0,0 +1,97 @@
+/**
+ * Table rules chosen at room creation; stored on room.rules and sent with the room.
+ * wildJoker: 'open' - the first discard's rank is wild and everyone sees it;
+ * 'closed' - a cut card is drawn face down and a player only sees it after showing a pure
+ * sequence; 'none' - only printed jokers are wild.
+ * A disconnected player forfeits after disconnectGraceSeconds away or maxMissedTurns
+ * auto-played turns in a row, whichever comes first.
+ */
+
+const { createDeck } = require('./deck');
+
+const WILD_JOKER_MODES = ['open', 'closed', 'none'];
+const MIN_TURN_SECONDS = 10;
+const MAX_TURN_SECONDS = 120;
+const MAX_DECKS = 3;
+const MIN_GRACE_SECONDS = 10;
+const MAX_GRACE_SECONDS = 600;
+const MAX_MISSED_TURNS = 10;
+
+const DEFAULT_RULES = {
+  turnSeconds: 30,
+  decks: 2,
+  printedJokers: true,
+  wildJoker: 'open',
+  disconnectGraceSeconds: 60,
+  maxMissedTurns: 3,
+};
+
+function cardsPerPlayer(gameType) {
+  return gameType === 21 ? 21 : 13;
+}
+
+/**
+ * Validate rules from create_room; missing fields (or no rules at all) take the defaults, and the
+ * deck has to hold enough cards either way.
+ * @returns {{ ok: true, rules: object } | { ok: false, reason: string }}
+ */
+function validateRules(input, gameType, maxPlayers) {
+  const given = input === undefined || input === null ? {} : input;
+  if (typeof given !== 'object' || Array.isArray(given)) return { ok: false, reason: 'rules must be an object' };
+  const rules = { ...DEFAULT_RULES, ...given };
+
+  if (!Number.isInteger(rules.turnSeconds) || rules.turnSeconds < MIN_TURN_SECONDS || rules.turnSeconds > MAX_TURN_SECONDS) {
+    return { ok: false, reason: `rules.turnSeconds must be between ${MIN_TURN_SECONDS} and ${MAX_TURN_SECONDS}` };
+  }
+  if (!Number.isInteger(rules.decks) || rules.decks < 1 || rules.decks > MAX_DECKS) {
+    return { ok: false, reason: `rules.decks must be between 1 and ${MAX_DECKS}` };
+  }
+  if (typeof rules.printedJokers !== 'boolean') return { ok: false, reason: 'rules.printedJokers must be a boolean' };
+  if (!WILD_JOKER_MODES.includes(rules.wildJoker)) {
+    return { ok: false, reason: `rules.wildJoker must be one of ${WILD_JOKER_MODES.join(', ')}` };
+  }
+
+  if (!Number.isInteger(rules.disconnectGraceSeconds)
+    || rules.disconnectGraceSeconds < MIN_GRACE_SECONDS || rules.disconnectGraceSeconds > MAX_GRACE_SECONDS) {
+    return { ok: false, reason: `rules.disconnectGraceSeconds must be between ${MIN_GRACE_SECONDS} and ${MAX_GRACE_SECONDS}` };
+  }
+  if (!Number.isInteger(rules.maxMissedTurns) || rules.maxMissedTurns < 1 || rules.maxMissedTurns > MAX_MISSED_TURNS) {
+    return { ok: false, reason: `rules.maxMissedTurns must be between 1 and ${MAX_MISSED_TURNS}` };
+  }
+
+  // Every hand, the first discard, the closed cut card and at least one card to draw
+  const needed = maxPlayers * cardsPerPlayer(gameType) + 2 + (rules.wildJoker === 'closed' ? 1 : 0);
+  const available = createDeck(rules.decks, rules.printedJokers).length;
+  if (available < needed) {
+    return { ok: false, reason: `${rules.decks} deck(s) are not enough for ${maxPlayers} players` };
+  }
+
+  return {
+    ok: true,
+    rules: {
+      turnSeconds: rules.turnSeconds,
+      decks: rules.decks,
+      printedJokers: rules.printedJokers,
+      wildJoker: rules.wildJoker,
+      disconnectGraceSeconds: rules.disconnectGraceSeconds,
+      maxMissedTurns: rules.maxMissedTurns,
+    },
+  };
+}
+
+/** Rooms saved before a rule existed play with its default. */
+function roomRules(room) {
+  return { ...DEFAULT_RULES, ...room.rules };
+}
+
+function turnDurationMs(room) {
+  return roomRules(room).turnSeconds * 1000;
+}
+
+module.exports = {
+  WILD_JOKER_MODES,
+  DEFAULT_RULES,
+  validateRules,
+  roomRules,
+  turnDurationMs,
+};
@@ -1,7 +1,13 @@
 /**
- * Scoring utilities: card points, deadwood calculation.
+ * Scoring utilities: card points, deadwood calculation, per-deal penalties and chip settlement.
+ * Penalties follow Points Rummy: the declaring winner scores 0 and a loser never pays more than MAX_PENALTY.
  */
 
+const { classifyGroup, declareRequirements } = require('./validator');
+
+const MAX_PENALTY = 80;
+const DEFAULT_POINT_VALUE = 1;
+
 const CARD_POINTS = {
   'A': 10, '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7, '8': 8, '9': 9,
   '10': 10, 'J': 10, 'Q': 10, 'K': 10,
@@ -13,27 +19,117 @@ function cardPoint(card) {
   return CARD_POINTS[rank] || 10;
 }
 
-function deadwoodPoints(cards, groupedCards) {
-  const grouped = new Set();
+/**
+ * Cards left over after removing every grouped card once (two decks can hold duplicates).
+ */
+function ungroupedCards(cards, groupedCards) {
+  const rest = [...cards];
   if (Array.isArray(groupedCards)) {
     for (const group of groupedCards) {
-      if (Array.isArray(group.cards)) {
-        for (const card of group.cards) {
-          grouped.add(card);
-        }
+      if (!Array.isArray(group.cards)) continue;
+      for (const card of group.cards) {
+        const index = rest.indexOf(card);
+        if (index !== -1) rest.splice(index, 1);
       }
     }
   }
+  return rest;
+}
+
+function deadwoodPoints(cards, groupedCards) {
   let points = 0;
-  for (const card of cards) {
-    if (!grouped.has(card)) {
-      points += cardPoint(card);
-    }
+  for (const card of ungroupedCards(cards, groupedCards)) {
+    points += cardPoint(card);
   }
   return points;
 }
 
+/**
+ * Penalty for a losing hand: points of every card outside groupedCards, capped.
+ * @param {string[]} hand
+ * @param {Array<{cards: string[]}>} [groupedCards] - Melds the player has shown (none = whole hand is deadwood)
+ * @param {number} [cap]
+ * @returns {{ penalty: number, deadwood: number }}
+ */
+function handPenalty(hand, groupedCards = [], cap = MAX_PENALTY) {
+  const deadwood = ungroupedCards(hand, groupedCards).length;
+  return { penalty: Math.min(deadwoodPoints(hand, groupedCards), cap), deadwood };
+}
+
+/**
+ * Penalty for melds a losing player shows after someone declares.
+ * Invalid groups count as deadwood, and melds are only credited as far as the declare
+ * requirements allow: no pure sequences credits nothing, pure sequences without
+ * enough total sequences credits only the pure ones.
+ * @returns {{ penalty: number, deadwood: number }}
+ */
+function showPenalty(hand, groupedCards, jokerRank, gameType, cap = MAX_PENALTY) {
+  const req = declareRequirements(gameType);
+  const melds = (Array.isArray(groupedCards) ? groupedCards : [])
+    .filter((g) => Array.isArray(g.cards))
+    .map((g) => ({ cards: g.cards, type: classifyGroup(g.cards, jokerRank) }))
+    .filter((g) => g.type);
+  const pure = melds.filter((g) => g.type === 'pure').length;
+  const sequences = pure + melds.filter((g) => g.type === 'sequence').length;
+
+  let credited = [];
+  if (pure >= req.pure && sequences >= req.sequences) {
+    credited = melds;
+  } else if (pure >= req.pure) {
+    credited = melds.filter((g) => g.type === 'pure');
+  }
+  return handPenalty(hand, credited, cap);
+}
+
+/**
+ * Score a finished deal for every seat in the room.
+ * Players without a hand (eliminated from a pool) are marked sittingOut; players who left
+ * the deal early (room.dropped) pay their fixed penalty.
+ * Losers are scored on the melds they showed, or on the solver's best grouping of their hand.
+ * @param {object} room
+ * @param {number} winnerIndex - Index into room.players of the player who declared
+ * @param {Object<string, Array>} [groupings] - Melds shown by losers, keyed by userId
+ * @returns {Array<{penalty: number, deadwood: number, sittingOut?: boolean, dropped?: string}>}
+ */
+function scoreDeal(room, winnerIndex, groupings = {}) {
+  const { solveHand } = require('./solver');
+  return room.players.map((p, i) => {
+    const hand = room.hands[p.userId];
+    if (!hand) return { penalty: 0, deadwood: 0, sittingOut: true };
+    const dropped = room.dropped && room.dropped[p.userId];
+    if (dropped) return { penalty: dropped.points, deadwood: hand.length, dropped: dropped.reason };
+    if (i === winnerIndex) return { penalty: 0, deadwood: 0 };
+    if (groupings[p.userId]) return showPenalty(hand, groupings[p.userId], room.jokerCard, room.gameType);
+    const best = solveHand(hand, room.jokerCard, room.gameType);
+    return { penalty: Math.min(best.points, MAX_PENALTY), deadwood: best.deadwood.length };
+  });
+}
+
+/**
+ * Chip settlement for Points Rummy: each loser pays penalty × pointValue, the winner collects the total.
+ * @returns {Array<{userId: string, points: number, chips: number}>} Negative chips are debits
+ */
+function settlePoints(room, scores, winnerIndex) {
+  const pointValue = room.pointValue || DEFAULT_POINT_VALUE;
+  const settlement = [];
+  let credit = 0;
+  for (let i = 0; i < room.players.length; i++) {
+    if (i === winnerIndex || scores[i].sittingOut) continue;
+    const debit = scores[i].penalty * pointValue;
+    credit += debit;
+    settlement.push({ userId: room.players[i].userId, points: scores[i].penalty, chips: -debit });
+  }
+  settlement.push({ userId: room.players[winnerIndex].userId, points: 0, chips: credit });
+  return settlement;
+}
+
 module.exports = {
+  MAX_PENALTY,
+  DEFAULT_POINT_VALUE,
   cardPoint,
   deadwoodPoints,
+  handPenalty,
+  showPenalty,
+  scoreDeal,
+  settlePoints,
 };
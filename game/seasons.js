@@ -0,0 +1,91 @@
+/**
+ * Competitive seasons.
+ * Every season has its own leaderboard. At rollover its final standings (with tiers) are archived
+ * and every rating is pulled toward 1000, keeping `keep` of the distance (config SEASON_SOFT_RESET).
+ * Stats records are brought into the new season lazily, the next time they are read or written:
+ * the rating is reset once for every rollover the record missed and the season counters start over.
+ */
+
+const elo = require('./elo');
+
+const BASE_RATING = 1000;
+const DEFAULT_SOFT_RESET_KEEP = 0.5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Rating after `rollovers` soft resets. */
+function softReset(rating, keep, rollovers = 1) {
+  return Math.round(BASE_RATING + (rating - BASE_RATING) * Math.pow(keep, rollovers));
+}
+
+function createSeasonStats(seasonId, rating) {
+  return { id: seasonId, games: 0, wins: 0, losses: 0, forfeits: 0, startRating: rating, peakRating: rating };
+}
+
+/**
+ * Move a stats record into the current season (mutates and returns it). Records written before
+ * seasons existed belong to season 1.
+ * @param {object} stats - Parsed stats:{userId} record
+ * @param {{ id: number }} season - Current season
+ */
+function catchUp(stats, season, keep) {
+  const recordSeason = stats.season ? stats.season.id : 1;
+  if (stats.season && recordSeason === season.id) return stats;
+  const missed = Math.max(0, season.id - recordSeason);
+  if (missed > 0) stats.rating = softReset(stats.rating, keep, missed);
+  stats.season = createSeasonStats(season.id, stats.rating);
+  return stats;
+}
+
+/** Count a finished game in the record's season counters. */
+function recordSeasonGame(stats, won, forfeited) {
+  const s = stats.season;
+  s.games += 1;
+  if (won) {
+    s.wins += 1;
+  } else {
+    s.losses += 1;
+  }
+  if (forfeited) s.forfeits += 1;
+  if (stats.rating > s.peakRating) s.peakRating = stats.rating;
+}
+
+/** Season numbers as returned with the stats. */
+function seasonSummary(stats) {
+  const s = stats.season;
+  return {
+    id: s.id,
+    games: s.games,
+    wins: s.wins,
+    losses: s.losses,
+    forfeits: s.forfeits,
+    winRate: s.games > 0 ? Math.round((s.wins / s.games) * 100) / 100 : 0,
+    startRating: s.startRating,
+    peakRating: s.peakRating,
+    tier: elo.getTierFromRating(stats.rating),
+  };
+}
+
+/** Has a season that lasts lengthDays (0 = only rolled over by an admin) run out? */
+function isDue(season, lengthDays, now = Date.now()) {
+  return lengthDays > 0 && !!season.startedAt && now >= season.startedAt + lengthDays * DAY_MS;
+}
+
+/**
+ * Final standings to archive from a season leaderboard.
+ * @param {Array<{ userId: string, rating: number }>} entries - Best first
+ */
+function finalStandings(entries) {
+  return entries.map((e, i) => ({ rank: i + 1, userId: e.userId, rating: e.rating, tier: elo.getTierFromRating(e.rating) }));
+}
+
+module.exports = {
+  BASE_RATING,
+  DEFAULT_SOFT_RESET_KEEP,
+  softReset,
+  createSeasonStats,
+  catchUp,
+  recordSeasonGame,
+  seasonSummary,
+  isDue,
+  finalStandings,
+};
@@ -1,14 +1,70 @@
 /**
- * Fisher-Yates shuffle algorithm.
+ * Provably fair Fisher-Yates shuffle.
+ * Random numbers come from HMAC-SHA256(serverSeed, `${clientSeed}:${nonce}:${counter}`), read as
+ * big-endian uint32s with rejection sampling, so anyone holding the seeds can recompute the order.
  */
 
-function shuffle(array) {
+const crypto = require('crypto');
+
+const UINT32_RANGE = 2 ** 32;
+
+function createServerSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function createClientSeed() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/** Commitment published before the deal: sha256 of the server seed, hex. */
+function hashSeed(seed) {
+  return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
+/** Deterministic stream of uniform integers for one shuffle. */
+function seededRandom(serverSeed, clientSeed, nonce) {
+  let counter = 0;
+  let block = Buffer.alloc(0);
+  let offset = 0;
+
+  const nextUint32 = () => {
+    if (offset + 4 > block.length) {
+      block = crypto.createHmac('sha256', serverSeed).update(`${clientSeed}:${nonce}:${counter}`).digest();
+      counter++;
+      offset = 0;
+    }
+    const value = block.readUInt32BE(offset);
+    offset += 4;
+    return value;
+  };
+
+  // Integer in [0, max) without modulo bias
+  return (max) => {
+    const limit = UINT32_RANGE - (UINT32_RANGE % max);
+    let value = nextUint32();
+    while (value >= limit) value = nextUint32();
+    return value % max;
+  };
+}
+
+/**
+ * Shuffle a copy of array from the given seeds.
+ * @param {Array} array
+ * @param {{ serverSeed: string, clientSeed: string, nonce: string|number }} seeds
+ */
+function shuffle(array, { serverSeed, clientSeed, nonce }) {
   const arr = [...array];
+  const randomInt = seededRandom(serverSeed, clientSeed, nonce);
   for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = randomInt(i + 1);
     [arr[i], arr[j]] = [arr[j], arr[i]];
   }
   return arr;
 }
 
-module.exports = { shuffle };
+module.exports = {
+  shuffle,
+  createServerSeed,
+  createClientSeed,
+  hashSeed,
+};
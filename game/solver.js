@@ -0,0 +1,260 @@
+/**
+ * Meld solver: finds the grouping of a hand that leaves the fewest penalty points.
+ * Groups are classified exactly as validateDeclare counts them, and penalties follow
+ * the declare requirements:
+ * - fewer pure sequences than required: every card counts
+ * - pure sequences met but not total sequences: only pure sequences are credited
+ * - both met: only cards outside melds count
+ * Jokers (printed and joker rank) are interchangeable, so the search tracks how many
+ * are left and assigns the actual cards at the end.
+ */
+
+const {
+  validateDeclare, classifyGroup, declareRequirements, groupsCoverCards, isWild, parseCard, rankValue, RANK_ORDER, SUITS,
+} = require('./validator');
+const { cardPoint } = require('./scoring');
+
+// Upper bound on search nodes so a 21-card hand with many jokers still answers quickly
+const MAX_NODES = 100000;
+const MAX_SET_SIZE = 4;
+const MAX_CARD_POINTS = 10;
+const RANK_COUNT = RANK_ORDER.length;
+
+function sumPoints(cards) {
+  return cards.reduce((sum, c) => sum + cardPoint(c), 0);
+}
+
+/**
+ * Candidate melds whose lowest natural card is naturals[index].
+ * Naturals are sorted by suit then rank, so every other natural in the meld comes later.
+ * @returns {Array<{naturals: number[], wilds: number}>}
+ */
+function candidateMelds(naturals, used, index, wildsLeft) {
+  const candidates = [];
+  const card = naturals[index];
+
+  const findUnused = (matches, exclude) => {
+    for (let i = index + 1; i < naturals.length; i++) {
+      if (!used[i] && !exclude.includes(i) && matches(naturals[i])) return i;
+    }
+    return -1;
+  };
+
+  // Runs: card is the lowest natural; gaps and padding are filled by wilds
+  const members = [index];
+  let gaps = 0;
+  for (let value = card.value; value < RANK_COUNT; value++) {
+    if (value > card.value) {
+      const at = findUnused((n) => n.suit === card.suit && n.value === value, members);
+      if (at === -1) {
+        gaps++;
+        if (gaps > wildsLeft) break;
+        continue;
+      }
+      members.push(at);
+    }
+    const padding = Math.max(0, 3 - (value - card.value + 1));
+    if (gaps + padding <= wildsLeft) {
+      candidates.push({ naturals: [...members], wilds: gaps + padding });
+    }
+  }
+
+  // Sets: same rank, distinct suits
+  const others = [];
+  for (const suit of SUITS) {
+    if (suit === card.suit) continue;
+    const at = findUnused((n) => n.rank === card.rank && n.suit === suit, []);
+    if (at !== -1) others.push(at);
+  }
+  for (let mask = 1; mask < (1 << others.length); mask++) {
+    const chosen = [index, ...others.filter((_, bit) => mask & (1 << bit))];
+    if (chosen.length === 1) continue;
+    for (let wilds = Math.max(0, 3 - chosen.length); chosen.length + wilds <= MAX_SET_SIZE && wilds <= wildsLeft; wilds++) {
+      candidates.push({ naturals: chosen, wilds });
+    }
+  }
+
+  // Bigger melds first so good answers are found early and prune more
+  candidates.sort((a, b) => (b.naturals.length + b.wilds) - (a.naturals.length + a.wilds));
+  return candidates;
+}
+
+/**
+ * Build concrete groups for a finished search path and score it.
+ */
+function buildArrangement(naturals, path, deadNaturals, wilds, jokerRank, gameType) {
+  const req = declareRequirements(gameType);
+  // wilds are sorted most expensive first: melds take those, the cheapest are left over
+  const spare = [...wilds];
+  const groups = path.map((meld) => ({
+    cards: [...meld.naturals.map((i) => naturals[i].card), ...spare.splice(0, meld.wilds)],
+  }));
+  let leftover = spare;
+
+  // Spare jokers join a meld that stays valid with them, or form their own group of three or more
+  if (leftover.length > 0) {
+    const counts = countTypes(groups, jokerRank);
+    const accepts = (g) => classifyGroup([...g.cards, ...leftover], jokerRank);
+    let host = groups.find((g) => classifyGroup(g.cards, jokerRank) === 'sequence' && accepts(g))
+      || groups.find((g) => classifyGroup(g.cards, jokerRank) === 'set' && accepts(g));
+    if (!host && counts.pure > req.pure) host = groups.find((g) => classifyGroup(g.cards, jokerRank) === 'pure' && accepts(g));
+    if (host) {
+      host.cards.push(...leftover);
+      leftover = [];
+    } else if (leftover.length >= 3) {
+      groups.push({ cards: leftover });
+      leftover = [];
+    }
+  }
+
+  const deadwood = [...deadNaturals.map((i) => naturals[i].card), ...leftover];
+  const counts = countTypes(groups, jokerRank);
+  let points;
+  if (counts.pure < req.pure) {
+    points = sumPoints([...groups.flatMap((g) => g.cards), ...deadwood]);
+  } else if (counts.pure + counts.sequences < req.sequences) {
+    const credited = groups.filter((g) => classifyGroup(g.cards, jokerRank) === 'pure');
+    points = sumPoints([...groups.filter((g) => !credited.includes(g)).flatMap((g) => g.cards), ...deadwood]);
+  } else {
+    points = sumPoints(deadwood);
+  }
+
+  return {
+    groups,
+    deadwood,
+    points,
+    meetsRequirements: counts.pure >= req.pure && counts.pure + counts.sequences >= req.sequences,
+  };
+}
+
+function countTypes(groups, jokerRank) {
+  const counts = { pure: 0, sequences: 0, sets: 0 };
+  for (const g of groups) {
+    const type = classifyGroup(g.cards, jokerRank);
+    if (type === 'pure') counts.pure++;
+    else if (type === 'sequence') counts.sequences++;
+    else if (type === 'set') counts.sets++;
+  }
+  return counts;
+}
+
+/**
+ * Best grouping of a hand.
+ * @param {string[]} hand
+ * @param {string|null} jokerRank
+ * @param {number} gameType - 13 or 21
+ * @returns {{ groups: Array<{cards: string[]}>, deadwood: string[], points: number, meetsRequirements: boolean }}
+ */
+function solveHand(hand, jokerRank, gameType) {
+  const wildCards = hand.filter((c) => isWild(c, jokerRank));
+  const naturals = hand
+    .filter((c) => !isWild(c, jokerRank))
+    .map((card) => {
+      const parsed = parseCard(card);
+      return { card, rank: parsed.rank, suit: parsed.suit, value: rankValue(parsed.rank), points: cardPoint(card) };
+    })
+    .sort((a, b) => SUITS.indexOf(a.suit) - SUITS.indexOf(b.suit) || a.value - b.value);
+
+  const req = declareRequirements(gameType);
+  const wilds = [...wildCards].sort((a, b) => cardPoint(b) - cardPoint(a));
+  const totalPoints = sumPoints(hand);
+  const typeCache = new Map();
+  const meldType = (meld) => {
+    const cards = [...meld.naturals.map((i) => naturals[i].card), ...wilds.slice(0, meld.wilds)];
+    const key = cards.join(',');
+    if (!typeCache.has(key)) typeCache.set(key, classifyGroup(cards, jokerRank));
+    return typeCache.get(key);
+  };
+
+  // Cheap score for a finished path, used to skip building arrangements that cannot win
+  const estimate = (path, deadPoints, wildsLeft) => {
+    let pure = 0;
+    let sequences = 0;
+    let purePoints = 0;
+    for (const meld of path) {
+      if (meld.type === 'pure') {
+        pure++;
+        purePoints += meld.points;
+      } else if (meld.type === 'sequence') {
+        sequences++;
+      }
+    }
+    if (pure < req.pure) return totalPoints;
+    if (pure + sequences < req.sequences) return totalPoints - purePoints;
+    const canHost = pure > req.pure || path.some((m) => m.type === 'sequence') || wildsLeft >= 3;
+    return canHost ? deadPoints : deadPoints + sumPoints(wilds.slice(wilds.length - wildsLeft));
+  };
+
+  const used = new Array(naturals.length).fill(false);
+  let best = buildArrangement(naturals, [], naturals.map((_, i) => i), wilds, jokerRank, gameType);
+  let nodes = 0;
+
+  const search = (index, path, dead, deadPoints, wildsLeft) => {
+    if (++nodes > MAX_NODES || deadPoints >= best.points) return;
+    while (index < naturals.length && used[index]) index++;
+    if (index >= naturals.length) {
+      if (estimate(path, deadPoints, wildsLeft) >= best.points) return;
+      const arrangement = buildArrangement(naturals, path, dead, wilds, jokerRank, gameType);
+      if (arrangement.points < best.points) best = arrangement;
+      return;
+    }
+
+    for (const meld of candidateMelds(naturals, used, index, wildsLeft)) {
+      meld.type = meldType(meld);
+      if (!meld.type) continue;
+      meld.points = meld.naturals.reduce((sum, i) => sum + naturals[i].points, 0);
+      meld.naturals.forEach((i) => { used[i] = true; });
+      path.push(meld);
+      search(index + 1, path, dead, deadPoints, wildsLeft - meld.wilds);
+      path.pop();
+      meld.naturals.forEach((i) => { used[i] = false; });
+    }
+
+    used[index] = true;
+    dead.push(index);
+    search(index + 1, path, dead, deadPoints + naturals[index].points, wildsLeft);
+    dead.pop();
+    used[index] = false;
+  };
+
+  search(0, [], [], 0, wildCards.length);
+  return best;
+}
+
+/**
+ * Groups for a valid declaration of this hand, or null if some card cannot be melded.
+ */
+function findDeclaration(hand, jokerRank, gameType) {
+  const best = solveHand(hand, jokerRank, gameType);
+  if (best.deadwood.length > 0 || !best.meetsRequirements) return null;
+  if (!groupsCoverCards(hand, best.groups)) return null;
+  if (!validateDeclare(gameType, hand, best.groups, jokerRank).valid) return null;
+  return best.groups;
+}
+
+/**
+ * Finish card and groups for declaring a hand that holds one card too many (after the pick),
+ * or null if no single discard leaves a valid declaration.
+ * @param {string} [exclude] - Card that may not be the finish card (e.g. just taken from the discard pile)
+ * @returns {{ finishCard: string, groups: Array<{cards: string[]}> }|null}
+ */
+function findFinish(hand, jokerRank, gameType, exclude) {
+  // Any valid finish leaves the finish card as the only deadwood, so the full hand scores at most a card's worth
+  const best = solveHand(hand, jokerRank, gameType);
+  if (!best.meetsRequirements || best.points > MAX_CARD_POINTS) return null;
+
+  const candidates = [...new Set([...best.deadwood, ...hand])].filter((c) => c !== exclude);
+  for (const finishCard of candidates) {
+    const rest = [...hand];
+    rest.splice(rest.indexOf(finishCard), 1);
+    const groups = findDeclaration(rest, jokerRank, gameType);
+    if (groups) return { finishCard, groups };
+  }
+  return null;
+}
+
+module.exports = {
+  solveHand,
+  findDeclaration,
+  findFinish,
+};
@@ -16,6 +16,11 @@ function normalizeCard(card) {
   return card;
 }
 
+function isPrintedJoker(card) {
+  const normalized = normalizeCard(card);
+  return normalized === 'JOKER' || normalized === 'J1' || normalized === 'J2';
+}
+
 function isWild(card, jokerRank) {
   const normalized = normalizeCard(card);
   if (normalized === 'JOKER' || normalized === 'J1' || normalized === 'J2') return true;
@@ -43,56 +48,65 @@ function rankValue(rank) {
   return RANK_ORDER.indexOf(rank);
 }
 
+/**
+ * Run of one suit: natural cards of distinct ranks, gaps filled by wilds.
+ * Ace is low (A-2-3).
+ */
 function isSequence(group, jokerRank) {
-  if (group.length < 3) return false;
-  const cards = group.map(c => parseCard(c)).filter(c => c);
-  if (cards.length === 0) return false;
-
-  const bySuit = {};
-  for (const card of cards) {
-    if (!card.suit) continue;
-    if (!bySuit[card.suit]) bySuit[card.suit] = [];
-    bySuit[card.suit].push(card);
-  }
-
-  for (const suit in bySuit) {
-    const suitCards = bySuit[suit].filter(c => !isWild(c.rank + '-' + c.suit, jokerRank));
-    if (suitCards.length === 0) continue;
-    suitCards.sort((a, b) => rankValue(a.rank) - rankValue(b.rank));
-    let wildCount = group.length - suitCards.length;
-    let consecutive = 1;
-    for (let i = 1; i < suitCards.length; i++) {
-      const diff = rankValue(suitCards[i].rank) - rankValue(suitCards[i - 1].rank);
-      if (diff === 1) {
-        consecutive++;
-      } else if (diff > 1 && wildCount >= diff - 1) {
-        consecutive += diff;
-        wildCount -= (diff - 1);
-      } else {
-        consecutive = 1;
-      }
-    }
-    if (consecutive + wildCount >= group.length) return true;
+  if (group.length < 3 || group.length > RANK_ORDER.length) return false;
+  const naturals = [];
+  for (const card of group) {
+    const parsed = parseCard(card);
+    if (!parsed) return false;
+    if (!isWild(card, jokerRank)) naturals.push(parsed);
   }
-  return false;
+  if (naturals.length === 0) return false;
+
+  const suit = naturals[0].suit;
+  if (naturals.some(c => c.suit !== suit)) return false;
+  const values = naturals.map(c => rankValue(c.rank)).sort((a, b) => a - b);
+  for (let i = 1; i < values.length; i++) {
+    if (values[i] === values[i - 1]) return false;
+  }
+  const gaps = values[values.length - 1] - values[0] + 1 - values.length;
+  return gaps <= group.length - naturals.length;
 }
 
+/**
+ * Set of one rank: at most 4 cards, natural cards in distinct suits.
+ */
 function isSet(group, jokerRank) {
-  if (group.length < 3) return false;
-  const cards = group.map(c => parseCard(c)).filter(c => c);
-  if (cards.length === 0) return false;
-
-  const ranks = {};
-  for (const card of cards) {
-    if (isWild(card.rank + '-' + card.suit, jokerRank)) continue;
-    if (!card.rank) continue;
-    ranks[card.rank] = (ranks[card.rank] || 0) + 1;
+  if (group.length < 3 || group.length > SUITS.length) return false;
+  const naturals = [];
+  for (const card of group) {
+    const parsed = parseCard(card);
+    if (!parsed) return false;
+    if (!isWild(card, jokerRank)) naturals.push(parsed);
   }
+  if (naturals.length === 0) return true; // all wild
 
-  const uniqueRanks = Object.keys(ranks);
-  if (uniqueRanks.length === 0) return true; // all wild
-  if (uniqueRanks.length === 1) return true; // same rank
-  return false;
+  const rank = naturals[0].rank;
+  if (naturals.some(c => c.rank !== rank)) return false;
+  return new Set(naturals.map(c => c.suit)).size === naturals.length;
+}
+
+/**
+ * Classify a meld the way validateDeclare counts it.
+ * @returns {'pure'|'sequence'|'set'|null} null if the group is not a valid meld
+ */
+function classifyGroup(groupCards, jokerRank) {
+  if (groupCards.length < 3) return null;
+  const hasWild = groupCards.some(c => isWild(c, jokerRank));
+  if (isSequence(groupCards, jokerRank)) return hasWild ? 'sequence' : 'pure';
+  if (isSet(groupCards, jokerRank)) return 'set';
+  return null;
+}
+
+/**
+ * Declare requirements per game type: minimum pure sequences and total sequences.
+ */
+function declareRequirements(gameType) {
+  return gameType === 21 ? { pure: 3, sequences: 4 } : { pure: 1, sequences: 2 };
 }
 
 function validateHand(cards, jokerRank, gameType) {
@@ -111,10 +125,18 @@ function validateHand(cards, jokerRank, gameType) {
   return { valid: true };
 }
 
-function validateDeclare(gameType, cards, groupedCards, jokerRank) {
+/**
+ * @param {object} [rules] - Room rules (see rules.js): with wildJoker 'none' no rank is wild, and
+ *   without printed jokers a JOKER card cannot be part of the hand
+ */
+function validateDeclare(gameType, cards, groupedCards, jokerRank, rules) {
   if (!Array.isArray(cards)) {
     return { valid: false, reason: 'Invalid cards' };
   }
+  if (rules && rules.printedJokers === false && cards.some(isPrintedJoker)) {
+    return { valid: false, reason: 'Printed jokers are not used in this room' };
+  }
+  const wildRank = rules && rules.wildJoker === 'none' ? null : jokerRank;
 
   const expectedCount = gameType === 21 ? 21 : 13;
   if (cards.length !== expectedCount) {
@@ -138,15 +160,12 @@ function validateDeclare(gameType, cards, groupedCards, jokerRank) {
       return { valid: false, reason: 'Groups must have at least 3 cards' };
     }
 
-    const hasWild = groupCards.some(c => isWild(c, jokerRank));
-    const isSeq = isSequence(groupCards, jokerRank);
-    const isSetGroup = isSet(groupCards, jokerRank);
-
-    if (isSeq && !hasWild) {
+    const type = classifyGroup(groupCards, wildRank);
+    if (type === 'pure') {
       pureSequences++;
-    } else if (isSeq) {
+    } else if (type === 'sequence') {
       sequences++;
-    } else if (isSetGroup) {
+    } else if (type === 'set') {
       sets++;
     } else {
       return { valid: false, reason: 'Invalid group: not a sequence or set' };
@@ -172,6 +191,40 @@ function validateDeclare(gameType, cards, groupedCards, jokerRank) {
   return { valid: true, pureSequences, sequences, sets };
 }
 
+/**
+ * Cards left after taking every grouped card out of cards once, or null if a group
+ * uses a card that is not there (or uses it more often than it appears).
+ */
+function remainingAfterGroups(cards, groupedCards) {
+  if (!Array.isArray(groupedCards)) return null;
+  const remaining = [...cards];
+  for (const group of groupedCards) {
+    const groupCards = Array.isArray(group.cards) ? group.cards : group;
+    if (!Array.isArray(groupCards)) return null;
+    for (const card of groupCards) {
+      const index = remaining.indexOf(card);
+      if (index === -1) return null;
+      remaining.splice(index, 1);
+    }
+  }
+  return remaining;
+}
+
+/**
+ * True when groupedCards use exactly the given cards (same multiset, nothing left over).
+ */
+function groupsCoverCards(cards, groupedCards) {
+  const remaining = remainingAfterGroups(cards, groupedCards);
+  return remaining !== null && remaining.length === 0;
+}
+
+/**
+ * True when groupedCards only use cards from the given cards (some may be left ungrouped).
+ */
+function groupsWithinCards(cards, groupedCards) {
+  return remainingAfterGroups(cards, groupedCards) !== null;
+}
+
 function calculateDeadwood(cards, groupedCards) {
   const grouped = new Set();
   if (Array.isArray(groupedCards)) {
@@ -189,7 +242,19 @@ function calculateDeadwood(cards, groupedCards) {
 module.exports = {
   validateHand,
   validateDeclare,
+  classifyGroup,
+  declareRequirements,
+  remainingAfterGroups,
+  groupsCoverCards,
+  groupsWithinCards,
   calculateDeadwood,
   isWild,
+  isPrintedJoker,
+  isSequence,
+  isSet,
   normalizeCard,
+  parseCard,
+  rankValue,
+  RANK_ORDER,
+  SUITS,
 };
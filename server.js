@@ -1,12 +1,13 @@
 /**
  * Production-ready Express + Socket.IO server.
- * Railway + Upstash Redis. Env: PORT, REDIS_URL, NODE_ENV, CORS_ORIGIN.
+ * Railway + Upstash Redis. Env: PORT, REDIS_URL, NODE_ENV, CORS_ORIGIN, JWT_SECRET.
  */
 
 require('./config/env');
 const config = require('./config/env');
 const express = require('express');
 const http = require('http');
+const crypto = require('crypto');
 const { Server } = require('socket.io');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -15,6 +16,11 @@ const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
 const { createAdapter } = require('@socket.io/redis-adapter');
 const redis = require('./services/redis');
+const auth = require('./services/auth');
+const scheduler = require('./services/scheduler');
+const seasonClock = require('./services/seasons');
+const fairness = require('./game/fairness');
+const replay = require('./game/replay');
 
 const app = express();
 const server = http.createServer(app);
@@ -50,12 +56,34 @@ app.get('/health', (req, res) => {
   });
 });
 
-app.get('/api/stats', async (req, res) => {
-  try {
-    const userId = req.query.userId;
-    if (!userId) {
-      return res.status(400).json({ ok: false, reason: 'userId required' });
+// Issue a session token. With TOKEN_ISSUER_KEY set only a caller holding that key (a login service) may ask;
+// without it tokens are only issued outside production, for local development
+app.post('/api/auth/token', (req, res) => {
+  if (config.TOKEN_ISSUER_KEY) {
+    if (req.get('x-issuer-key') !== config.TOKEN_ISSUER_KEY) {
+      return res.status(403).json({ ok: false, reason: 'Invalid issuer key' });
     }
+  } else if (config.NODE_ENV === 'production') {
+    return res.status(403).json({ ok: false, reason: 'Token issuing is disabled' });
+  }
+  const userId = req.body && req.body.userId;
+  if (!userId || typeof userId !== 'string' || !userId.trim() || userId.length > 64) {
+    return res.status(400).json({ ok: false, reason: 'userId required' });
+  }
+  res.json({ ok: true, userId, ...auth.issueToken(userId) });
+});
+
+/** Only the signed-in user may read their own per-user data */
+function sameUser(req, res, next) {
+  if (req.params.userId !== req.userId) {
+    return res.status(403).json({ ok: false, reason: 'Forbidden' });
+  }
+  next();
+}
+
+app.get('/api/stats', auth.httpAuth(), async (req, res) => {
+  try {
+    const userId = req.userId;
     const stats = await redis.getStats(userId);
     res.json({ ok: true, stats });
   } catch (error) {
@@ -67,7 +95,7 @@ app.get('/api/stats', async (req, res) => {
 app.get('/api/leaderboard', async (req, res) => {
   try {
     const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
-    const leaderboard = await redis.getLeaderboard(limit);
+    const leaderboard = await redis.getLeaderboard(limit, req.query.season === 'all' ? 'all' : 'season');
     res.json(leaderboard);
   } catch (error) {
     console.error('GET /api/leaderboard error:', error);
@@ -75,9 +103,137 @@ app.get('/api/leaderboard', async (req, res) => {
   }
 });
 
+// Current season and the archived ones (no standings)
+app.get('/api/seasons', async (req, res) => {
+  try {
+    const [current, past] = await Promise.all([redis.getCurrentSeason(), redis.getSeasonArchives()]);
+    const endsAt = config.SEASON_LENGTH_DAYS > 0 ? current.startedAt + config.SEASON_LENGTH_DAYS * 24 * 60 * 60 * 1000 : null;
+    res.json({ ok: true, current: { ...current, endsAt }, past });
+  } catch (error) {
+    console.error('GET /api/seasons error:', error);
+    res.status(500).json({ ok: false, reason: error.message });
+  }
+});
+
+// Final standings of a past season
+app.get('/api/seasons/:seasonId', async (req, res) => {
+  try {
+    const seasonId = parseInt(req.params.seasonId, 10);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    const season = Number.isInteger(seasonId) ? await redis.getSeasonArchive(seasonId, limit) : null;
+    if (!season) {
+      return res.status(404).json({ ok: false, reason: 'Season not found or still running' });
+    }
+    res.json({ ok: true, season });
+  } catch (error) {
+    console.error('GET /api/seasons/:seasonId error:', error);
+    res.status(500).json({ ok: false, reason: error.message });
+  }
+});
+
+/** The x-admin-key header matches ADMIN_KEY (compared in constant time); always false without ADMIN_KEY. */
+function hasAdminKey(req) {
+  if (!config.ADMIN_KEY) return false;
+  const expected = Buffer.from(config.ADMIN_KEY);
+  const actual = Buffer.from(req.get('x-admin-key') || '');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Close the current season now. Needs ADMIN_KEY in the x-admin-key header; disabled without ADMIN_KEY
+app.post('/api/admin/seasons/rollover', async (req, res) => {
+  if (!hasAdminKey(req)) {
+    return res.status(403).json({ ok: false, reason: 'Invalid admin key' });
+  }
+  try {
+    const current = await redis.getCurrentSeason();
+    const result = await redis.rolloverSeason(current.id);
+    if (!result.ok) return res.status(409).json(result);
+    console.log(`[seasons] season ${result.archived.id} closed by admin`);
+    res.json(result);
+  } catch (error) {
+    console.error('POST /api/admin/seasons/rollover error:', error);
+    res.status(500).json({ ok: false, reason: error.message });
+  }
+});
+
+app.get('/api/users/:userId/games', auth.httpAuth(), sameUser, async (req, res) => {
+  try {
+    const history = await redis.getHistory(req.params.userId, req.query.offset, req.query.limit);
+    res.json({ ok: true, ...history });
+  } catch (error) {
+    console.error('GET /api/users/:userId/games error:', error);
+    res.status(500).json({ ok: false, reason: error.message });
+  }
+});
+
+app.get('/api/users/:userId/rating-history', auth.httpAuth(), sameUser, async (req, res) => {
+  try {
+    const timeline = await redis.getRatingHistory(req.params.userId, Number(req.query.since) || 0);
+    res.json({ ok: true, timeline });
+  } catch (error) {
+    console.error('GET /api/users/:userId/rating-history error:', error);
+    res.status(500).json({ ok: false, reason: error.message });
+  }
+});
+
+// Replay the recorded deals of a finished game from its revealed server seed
+app.get('/api/games/:gameId/verify', async (req, res) => {
+  try {
+    const record = await redis.getFairness(req.params.gameId);
+    if (!record) {
+      return res.status(404).json({ ok: false, reason: 'No deals recorded for this game' });
+    }
+    if (!record.serverSeed) {
+      return res.status(409).json({ ok: false, reason: 'Server seed not revealed yet' });
+    }
+    const dealNumber = req.query.deal ? parseInt(req.query.deal, 10) : null;
+    const toCheck = dealNumber ? record.deals.filter((d) => d.deal === dealNumber) : record.deals;
+    if (toCheck.length === 0) {
+      return res.status(404).json({ ok: false, reason: 'Deal not found' });
+    }
+
+    const dealResults = toCheck.map((d) => {
+      const check = fairness.verifyDeal(d, record.serverSeed, record.serverSeedHash);
+      return { ...d, ...check, verified: check.seedMatches && check.deckMatches };
+    });
+    res.json({
+      ok: true,
+      verified: dealResults.every((d) => d.verified),
+      serverSeed: record.serverSeed,
+      serverSeedHash: record.serverSeedHash,
+      deals: dealResults,
+    });
+  } catch (error) {
+    console.error('GET /api/games/:gameId/verify error:', error);
+    res.status(500).json({ ok: false, reason: error.message });
+  }
+});
+
+// Ordered action log of a game; hidden cards are masked unless the signed-in user played in it, and
+// only players may see it before the game is over
+app.get('/api/games/:gameId/replay', auth.httpAuth({ optional: true }), async (req, res) => {
+  try {
+    const log = await redis.getRoomLog(req.params.gameId);
+    if (log.length === 0) {
+      return res.status(404).json({ ok: false, reason: 'No replay for this game' });
+    }
+    const visible = replay.buildReplay(log, req.userId);
+    // A live log would show everyone the table with no spectator delay
+    if (!visible.participant && !visible.finished) {
+      return res.status(403).json({ ok: false, reason: 'Replay is available once the game is over' });
+    }
+    res.json({ ok: true, gameId: req.params.gameId, ...visible });
+  } catch (error) {
+    console.error('GET /api/games/:gameId/replay error:', error);
+    res.status(500).json({ ok: false, reason: error.message });
+  }
+});
+
 const { pubClient, subClient } = redis.getClients();
 io.adapter(createAdapter(pubClient, subClient));
 
+io.use(auth.socketAuth);
+
 io.on('connection', (socket) => {
   console.log(`[socket] connected: ${socket.id}`);
   socket.on('disconnect', () => {
@@ -86,6 +242,7 @@ io.on('connection', (socket) => {
 });
 
 require('./socket')(io, redis);
+seasonClock.start();
 
 app.use((err, req, res, next) => {
   console.error('[express] Unhandled error:', err.stack);
@@ -106,6 +263,8 @@ server.listen(PORT, '0.0.0.0', () => {
 
 function shutdown(signal) {
   console.log(`[server] ${signal} received, shutting down gracefully`);
+  scheduler.stop();
+  seasonClock.stop();
   server.close(() => {
     redis.disconnect().then(() => {
       console.log('[server] Exit');
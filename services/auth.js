@@ -0,0 +1,138 @@
+/**
+ * Session tokens: HS256 JWTs signed with config.JWT_SECRET.
+ * Payload: { sub: userId, iat, exp }. Sockets send the token in the handshake
+ * (`auth.token` or an `Authorization: Bearer` header); HTTP requests send the header.
+ * Room invites use the same format with { sub: roomId, jti: inviteId, kind: 'invite' } and are
+ * never accepted as session tokens.
+ */
+
+const crypto = require('crypto');
+const config = require('../config/env');
+
+const HEADER = { alg: 'HS256', typ: 'JWT' };
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', config.JWT_SECRET).update(data).digest('base64url');
+}
+
+/**
+ * Sign a token carrying the given claims; `iat` and `exp` are added.
+ * @param {object} claims - Payload fields, e.g. { sub: userId }
+ * @param {number} ttlSeconds
+ * @returns {{ token: string, expiresAt: number }} expiresAt in ms
+ */
+function encode(claims, ttlSeconds) {
+  const iat = Math.floor(Date.now() / 1000);
+  const exp = iat + ttlSeconds;
+  const data = `${base64url(JSON.stringify(HEADER))}.${base64url(JSON.stringify({ ...claims, iat, exp }))}`;
+  return { token: `${data}.${sign(data)}`, expiresAt: exp * 1000 };
+}
+
+/**
+ * @param {string} userId
+ * @param {number} [ttlSeconds]
+ * @returns {{ token: string, expiresAt: number }} expiresAt in ms
+ */
+function issueToken(userId, ttlSeconds = config.TOKEN_TTL_SECONDS) {
+  return encode({ sub: userId }, ttlSeconds);
+}
+
+/** @returns {{ ok: true, claims: object } | { ok: false, reason: string }} */
+function decode(token) {
+  if (!token || typeof token !== 'string') return { ok: false, reason: 'Token required' };
+  const parts = token.split('.');
+  if (parts.length !== 3) return { ok: false, reason: 'Invalid token' };
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { ok: false, reason: 'Invalid token' };
+  }
+
+  let claims;
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== HEADER.alg) {
+      return { ok: false, reason: 'Invalid token' };
+    }
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (e) {
+    return { ok: false, reason: 'Invalid token' };
+  }
+  if (!claims.sub || typeof claims.sub !== 'string') return { ok: false, reason: 'Invalid token' };
+  if (!claims.exp || claims.exp * 1000 <= Date.now()) return { ok: false, reason: 'Token expired' };
+  return { ok: true, claims };
+}
+
+/**
+ * @returns {{ ok: true, userId: string } | { ok: false, reason: string }}
+ */
+function verifyToken(token) {
+  const result = decode(token);
+  if (!result.ok) return result;
+  if (result.claims.kind) return { ok: false, reason: 'Invalid token' };
+  return { ok: true, userId: result.claims.sub };
+}
+
+/**
+ * Signed invite to a private room.
+ * @returns {{ token: string, expiresAt: number }} expiresAt in ms
+ */
+function issueInviteToken(roomId, inviteId, ttlSeconds) {
+  return encode({ sub: roomId, jti: inviteId, kind: 'invite' }, ttlSeconds);
+}
+
+/**
+ * @returns {{ ok: true, roomId: string, inviteId: string } | { ok: false, reason: string }}
+ */
+function verifyInviteToken(token) {
+  const result = decode(token);
+  if (!result.ok) return result.reason === 'Token expired' ? { ok: false, reason: 'Invite expired' } : { ok: false, reason: 'Invalid invite' };
+  const { claims } = result;
+  if (claims.kind !== 'invite' || typeof claims.jti !== 'string') return { ok: false, reason: 'Invalid invite' };
+  return { ok: true, roomId: claims.sub, inviteId: claims.jti };
+}
+
+function bearerToken(header) {
+  if (!header || typeof header !== 'string') return null;
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+/** Socket.IO handshake middleware: rejects the connection unless the token is valid; sets socket.data.userId. */
+function socketAuth(socket, next) {
+  const token = socket.handshake.auth?.token || bearerToken(socket.handshake.headers.authorization);
+  const result = verifyToken(token);
+  if (!result.ok) return next(new Error(result.reason));
+  socket.data.userId = result.userId;
+  next();
+}
+
+/**
+ * Express middleware: sets req.userId from the bearer token.
+ * @param {{ optional?: boolean }} [options] - optional: let requests without a token through (req.userId stays null)
+ */
+function httpAuth({ optional = false } = {}) {
+  return (req, res, next) => {
+    const token = bearerToken(req.headers.authorization);
+    req.userId = null;
+    if (!token && optional) return next();
+    const result = verifyToken(token);
+    if (!result.ok) return res.status(401).json({ ok: false, reason: result.reason });
+    req.userId = result.userId;
+    next();
+  };
+}
+
+module.exports = {
+  issueToken,
+  verifyToken,
+  issueInviteToken,
+  verifyInviteToken,
+  socketAuth,
+  httpAuth,
+};
@@ -1,11 +1,14 @@
 /**
  * Redis storage layer for horizontal scaling.
- * Keys: room:{roomId}, player:{userId}, roomPlayers:{roomId}, userIdToSocketId stored in Redis.
+ * Keys: room:{roomId}, player:{userId}, roomPlayers:{roomId}, fairness:{gameId}, roomLog:{gameId}, history:{userId}, ratingHistory:{userId}, leaderboard:elo, leaderboard:season:{seasonId}, season:current, seasonArchives, timers, matchQueue:{gameType}:{maxPlayers}, matchQueues, matchEntries, chat:{roomId}, chatRate:{userId}, userIdToSocketId stored in Redis.
  * TTL: 10 minutes for empty/ended rooms.
  * Production: retryStrategy, connection logging, status for health check.
  */
 
 const Redis = require('ioredis');
+const config = require('../config/env');
+const seasons = require('../game/seasons');
+const glicko2 = require('../game/glicko2');
 
 const REDIS_URL = process.env.REDIS_URL;
 const ROOM_TTL_SECONDS = 10 * 60; // 10 minutes
@@ -93,34 +96,42 @@ function keyStats(userId) {
   return `stats:${userId}`;
 }
 
-async function getStats(userId) {
+const LEADERBOARD_KEY = 'leaderboard:elo';
+const SEASON_KEY = 'season:current';
+const SEASON_ARCHIVE_KEY = 'seasonArchives';
+
+function keySeasonLeaderboard(seasonId) {
+  return `leaderboard:season:${seasonId}`;
+}
+
+// KEYS[1] = season:current, ARGV[1] = season id being closed, ARGV[2] = next season JSON
+// Returns the closed season's JSON, or false if it was already rolled over
+const ROLLOVER_SEASON_SCRIPT = `
+local raw = redis.call('GET', KEYS[1])
+if not raw then return false end
+local current = cjson.decode(raw)
+if tonumber(current.id) ~= tonumber(ARGV[1]) then return false end
+redis.call('SET', KEYS[1], ARGV[2])
+return raw
+`;
+
+/** Current season; the first call ever starts season 1. */
+async function getCurrentSeason() {
   const { pubClient } = getClients();
-  const elo = require('../game/elo');
-  const raw = await pubClient.get(keyStats(userId));
-  if (!raw) {
-    const rating = 1000;
-    return { totalGames: 0, wins: 0, losses: 0, winRate: 0, rating, peakRating: rating, tier: elo.getTierFromRating(rating) };
-  }
-  try {
-    const s = JSON.parse(raw);
-    const wins = s.wins || 0;
-    const losses = s.losses || 0;
-    const totalGames = s.totalGames ?? (wins + losses);
-    const winRate = totalGames > 0 ? Math.round((wins / totalGames) * 100) / 100 : 0;
-    const rating = s.rating ?? 1000;
-    const peakRating = s.peakRating ?? rating;
-    const tier = elo.getTierFromRating(rating);
-    return { totalGames, wins, losses, winRate, rating, peakRating, tier };
-  } catch (e) {
-    const rating = 1000;
-    return { totalGames: 0, wins: 0, losses: 0, winRate: 0, rating, peakRating: rating, tier: elo.getTierFromRating(rating) };
+  const raw = await pubClient.get(SEASON_KEY);
+  if (raw) {
+    try {
+      return JSON.parse(raw);
+    } catch (e) {}
   }
+  await pubClient.set(SEASON_KEY, JSON.stringify({ id: 1, startedAt: Date.now() }), 'NX');
+  return JSON.parse(await pubClient.get(SEASON_KEY));
 }
 
-async function recordGameResult(userId, won) {
+/** Stats record brought into the current season (see game/seasons.js) */
+async function loadStats(userId) {
   const { pubClient } = getClients();
-  const key = keyStats(userId);
-  const raw = await pubClient.get(key);
+  const [raw, season] = await Promise.all([pubClient.get(keyStats(userId)), getCurrentSeason()]);
   let s = { totalGames: 0, wins: 0, losses: 0, rating: 1000, peakRating: 1000 };
   if (raw) {
     try {
@@ -129,70 +140,307 @@ async function recordGameResult(userId, won) {
       s.peakRating = s.peakRating ?? s.rating;
     } catch (e) {}
   }
+  return { s: seasons.catchUp(s, season, config.SEASON_SOFT_RESET), season };
+}
+
+/** Glicko-2 rd (grown for inactivity) and volatility; ELO-rated records are migrated on the fly */
+function ratingDeviation(s) {
+  const stored = s.rd != null ? { rd: s.rd, volatility: s.volatility } : glicko2.migrateFromElo(s.rating, s.totalGames);
+  const rd = glicko2.currentDeviation(stored.rd, stored.volatility, s.lastRatedAt);
+  return { rd: Math.round(rd * 100) / 100, volatility: stored.volatility };
+}
+
+/**
+ * Lifetime totals plus `season`: the same numbers for the current season.
+ * With RATING_SYSTEM=glicko2 also `rd` and `volatility`.
+ */
+async function getStats(userId) {
+  const elo = require('../game/elo');
+  const { s } = await loadStats(userId);
+  const wins = s.wins || 0;
+  const losses = s.losses || 0;
+  const totalGames = s.totalGames ?? (wins + losses);
+  const winRate = totalGames > 0 ? Math.round((wins / totalGames) * 100) / 100 : 0;
+  const tier = elo.getTierFromRating(s.rating);
+  return {
+    totalGames, wins, losses, forfeits: s.forfeits || 0, winRate, rating: s.rating, peakRating: s.peakRating, tier,
+    ...(config.RATING_SYSTEM === 'glicko2' ? ratingDeviation(s) : {}),
+    season: seasons.seasonSummary(s),
+  };
+}
+
+function countGame(s, won, forfeited) {
   s.totalGames = (s.totalGames || 0) + 1;
   if (won) {
     s.wins = (s.wins || 0) + 1;
   } else {
     s.losses = (s.losses || 0) + 1;
   }
-  await pubClient.set(key, JSON.stringify(s), 'EX', STATS_TTL_SECONDS);
+  if (forfeited) {
+    s.forfeits = (s.forfeits || 0) + 1;
+  }
+}
+
+/** @param {boolean} [forfeited] - Left the game for good (disconnected too long); always a loss */
+async function recordGameResult(userId, won, forfeited = false) {
+  const { pubClient } = getClients();
+  const { s } = await loadStats(userId);
+  countGame(s, won, forfeited);
+  seasons.recordSeasonGame(s, won, forfeited);
+  await pubClient.set(keyStats(userId), JSON.stringify(s), 'EX', STATS_TTL_SECONDS);
 }
 
 async function updateRating(userId, newRating) {
   const { pubClient } = getClients();
-  const key = keyStats(userId);
-  const raw = await pubClient.get(key);
-  let s = { totalGames: 0, wins: 0, losses: 0, rating: 1000, peakRating: 1000 };
-  if (raw) {
-    try {
-      s = JSON.parse(raw);
-      s.rating = s.rating ?? 1000;
-      s.peakRating = s.peakRating ?? s.rating;
-    } catch (e) {}
-  }
+  const { s, season } = await loadStats(userId);
   s.rating = newRating;
   if (newRating > s.peakRating) {
     s.peakRating = newRating;
   }
-  await pubClient.set(key, JSON.stringify(s), 'EX', STATS_TTL_SECONDS);
-  // Update leaderboard sorted set
-  await pubClient.zadd('leaderboard:elo', newRating, userId);
+  if (newRating > s.season.peakRating) {
+    s.season.peakRating = newRating;
+  }
+  const multi = pubClient.multi();
+  multi.set(keyStats(userId), JSON.stringify(s), 'EX', STATS_TTL_SECONDS);
+  multi.zadd(LEADERBOARD_KEY, newRating, userId);
+  multi.zadd(keySeasonLeaderboard(season.id), newRating, userId);
+  await multi.exec();
 }
 
-async function updateStatsAndRating(userId, won, newRating) {
+/**
+ * @param {{ rd: number, volatility: number }|null} [deviation] - Glicko-2 fields to store with the rating
+ */
+async function updateStatsAndRating(userId, won, newRating, forfeited = false, deviation = null) {
   const { pubClient } = getClients();
-  const key = keyStats(userId);
-  const raw = await pubClient.get(key);
-  let s = { totalGames: 0, wins: 0, losses: 0, rating: 1000, peakRating: 1000 };
-  if (raw) {
-    try {
-      s = JSON.parse(raw);
-      s.rating = s.rating ?? 1000;
-      s.peakRating = s.peakRating ?? s.rating;
-    } catch (e) {}
-  }
-  s.totalGames = (s.totalGames || 0) + 1;
-  if (won) {
-    s.wins = (s.wins || 0) + 1;
-  } else {
-    s.losses = (s.losses || 0) + 1;
-  }
+  const { s, season } = await loadStats(userId);
+  countGame(s, won, forfeited);
   s.rating = newRating;
   if (newRating > s.peakRating) {
     s.peakRating = newRating;
   }
+  if (deviation) {
+    s.rd = deviation.rd;
+    s.volatility = deviation.volatility;
+  }
+  // Glicko-2 grows rd from here while the player is inactive
+  s.lastRatedAt = Date.now();
+  seasons.recordSeasonGame(s, won, forfeited);
   // Use MULTI for atomic update
   const multi = pubClient.multi();
-  multi.set(key, JSON.stringify(s), 'EX', STATS_TTL_SECONDS);
-  multi.zadd('leaderboard:elo', newRating, userId);
+  multi.set(keyStats(userId), JSON.stringify(s), 'EX', STATS_TTL_SECONDS);
+  multi.zadd(LEADERBOARD_KEY, newRating, userId);
+  multi.zadd(keySeasonLeaderboard(season.id), newRating, userId);
   await multi.exec();
 }
 
-async function getLeaderboard(limit = 50) {
+function scoredMembers(members) {
+  const entries = [];
+  for (let i = 0; i < members.length; i += 2) {
+    entries.push({ userId: members[i], rating: parseFloat(members[i + 1]) });
+  }
+  return entries;
+}
+
+/**
+ * Close season expectedId: start the next one, archive the final standings and soft-reset the
+ * all-time leaderboard (stats records follow lazily). Only one caller wins for a given season.
+ * @returns {Promise<{ ok: true, season: object, archived: { id: number, players: number } } | { ok: false, reason: string }>}
+ */
+async function rolloverSeason(expectedId) {
+  const { pubClient } = getClients();
+  await getCurrentSeason();
+  const next = { id: expectedId + 1, startedAt: Date.now() };
+  const closedRaw = await pubClient.eval(ROLLOVER_SEASON_SCRIPT, 1, SEASON_KEY, expectedId, JSON.stringify(next));
+  if (!closedRaw) return { ok: false, reason: 'Season already rolled over' };
+  const closed = JSON.parse(closedRaw);
+
+  const members = await pubClient.zrevrange(keySeasonLeaderboard(expectedId), 0, -1, 'WITHSCORES');
+  const standings = seasons.finalStandings(scoredMembers(members));
+  const archive = { id: expectedId, startedAt: closed.startedAt, endedAt: next.startedAt, players: standings.length, standings };
+  await pubClient.hset(SEASON_ARCHIVE_KEY, String(expectedId), JSON.stringify(archive));
+
+  // ZSCAN may return a member twice; reset each one once
+  const reset = new Set();
+  let cursor = '0';
+  do {
+    const [nextCursor, batch] = await pubClient.zscan(LEADERBOARD_KEY, cursor, 'COUNT', 500);
+    cursor = nextCursor;
+    const args = [];
+    for (const { userId, rating } of scoredMembers(batch)) {
+      if (reset.has(userId)) continue;
+      reset.add(userId);
+      args.push(seasons.softReset(rating, config.SEASON_SOFT_RESET), userId);
+    }
+    if (args.length > 0) await pubClient.zadd(LEADERBOARD_KEY, ...args);
+  } while (cursor !== '0');
+
+  return { ok: true, season: next, archived: { id: expectedId, players: standings.length } };
+}
+
+/** Archived seasons without their standings, newest first */
+async function getSeasonArchives() {
+  const { pubClient } = getClients();
+  const all = await pubClient.hgetall(SEASON_ARCHIVE_KEY);
+  return Object.values(all)
+    .map((raw) => {
+      try {
+        const { standings, ...summary } = JSON.parse(raw);
+        return summary;
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.id - a.id);
+}
+
+/** One archived season with its top `limit` final standings, or null */
+async function getSeasonArchive(seasonId, limit = 100) {
+  const { pubClient } = getClients();
+  const raw = await pubClient.hget(SEASON_ARCHIVE_KEY, String(seasonId));
+  if (!raw) return null;
+  try {
+    const archive = JSON.parse(raw);
+    archive.standings = archive.standings.slice(0, limit);
+    return archive;
+  } catch (e) {
+    return null;
+  }
+}
+
+/** Game records (fairness, action log) outlive the room so finished games can be checked */
+const GAME_RECORD_TTL_SECONDS = 30 * 24 * 60 * 60; // 30 days
+
+function keyFairness(gameId) {
+  return `fairness:${gameId}`;
+}
+
+async function getFairness(gameId) {
+  const { pubClient } = getClients();
+  const raw = await pubClient.get(keyFairness(gameId));
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    return null;
+  }
+}
+
+async function saveFairnessDeal(gameId, serverSeedHash, record) {
+  const { pubClient } = getClients();
+  const f = (await getFairness(gameId)) || { serverSeedHash, serverSeed: null, deals: [] };
+  f.deals.push(record);
+  await pubClient.set(keyFairness(gameId), JSON.stringify(f), 'EX', GAME_RECORD_TTL_SECONDS);
+}
+
+async function revealServerSeed(gameId, serverSeed) {
+  const { pubClient } = getClients();
+  const f = await getFairness(gameId);
+  if (!f) return;
+  f.serverSeed = serverSeed;
+  await pubClient.set(keyFairness(gameId), JSON.stringify(f), 'EX', GAME_RECORD_TTL_SECONDS);
+}
+
+function keyRoomLog(gameId) {
+  return `roomLog:${gameId}`;
+}
+
+/** Append actions to the game's ordered replay log */
+async function appendRoomLog(gameId, entries) {
+  const { pubClient } = getClients();
+  const multi = pubClient.multi();
+  multi.rpush(keyRoomLog(gameId), ...entries.map((e) => JSON.stringify(e)));
+  multi.expire(keyRoomLog(gameId), GAME_RECORD_TTL_SECONDS);
+  await multi.exec();
+}
+
+async function getRoomLog(gameId) {
+  const { pubClient } = getClients();
+  const raw = await pubClient.lrange(keyRoomLog(gameId), 0, -1);
+  return raw.map((r) => {
+    try {
+      return JSON.parse(r);
+    } catch (e) {
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+/** Match history: newest first, capped per user; rating timeline: sorted by time */
+const MAX_HISTORY_GAMES = 500;
+
+function keyHistory(userId) {
+  return `history:${userId}`;
+}
+
+function keyRatingHistory(userId) {
+  return `ratingHistory:${userId}`;
+}
+
+/**
+ * Store a finished game for every real player in it, and their rating change on the timeline.
+ * @param {object} summary - { roomId, gameType, variant, endedAt, winnerUserId, players: [{ userId, name, isBot, penalty, ratingChange, newRating }] }
+ */
+async function recordGameSummary(summary) {
+  const { pubClient } = getClients();
+  const multi = pubClient.multi();
+  const raw = JSON.stringify(summary);
+  for (const player of summary.players) {
+    if (player.isBot) continue;
+    multi.lpush(keyHistory(player.userId), raw);
+    multi.ltrim(keyHistory(player.userId), 0, MAX_HISTORY_GAMES - 1);
+    multi.expire(keyHistory(player.userId), STATS_TTL_SECONDS);
+    if (player.newRating != null) {
+      const point = { at: summary.endedAt, rating: player.newRating, ratingChange: player.ratingChange, roomId: summary.roomId, gameId: summary.gameId };
+      multi.zadd(keyRatingHistory(player.userId), summary.endedAt, JSON.stringify(point));
+      multi.expire(keyRatingHistory(player.userId), STATS_TTL_SECONDS);
+    }
+  }
+  await multi.exec();
+}
+
+/** A page of a user's games, newest first (limit 1-100, default 20) */
+async function getHistory(userId, offset, limit) {
+  const { pubClient } = getClients();
+  offset = Math.max(parseInt(offset, 10) || 0, 0);
+  limit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+  const [raw, total] = await Promise.all([
+    pubClient.lrange(keyHistory(userId), offset, offset + limit - 1),
+    pubClient.llen(keyHistory(userId)),
+  ]);
+  const games = raw.map((r) => {
+    try {
+      return JSON.parse(r);
+    } catch (e) {
+      return null;
+    }
+  }).filter(Boolean);
+  return { games, total, offset, limit };
+}
+
+/** Rating after each rated game, oldest first, optionally from a timestamp on */
+async function getRatingHistory(userId, since = 0) {
+  const { pubClient } = getClients();
+  const raw = await pubClient.zrangebyscore(keyRatingHistory(userId), since, '+inf');
+  return raw.map((r) => {
+    try {
+      return JSON.parse(r);
+    } catch (e) {
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+/**
+ * Top players by rating, best first.
+ * @param {'season'|'all'} [board] - The current season's leaderboard (default) or the all-time one
+ */
+async function getLeaderboard(limit = 50, board = 'season') {
   const { pubClient } = getClients();
   const elo = require('../game/elo');
+  const key = board === 'all' ? LEADERBOARD_KEY : keySeasonLeaderboard((await getCurrentSeason()).id);
   // Get top N by rating (descending)
-  const members = await pubClient.zrevrange('leaderboard:elo', 0, limit - 1, 'WITHSCORES');
+  const members = await pubClient.zrevrange(key, 0, limit - 1, 'WITHSCORES');
   const leaderboard = [];
   for (let i = 0; i < members.length; i += 2) {
     const userId = members[i];
@@ -207,12 +455,169 @@ async function getLeaderboard(limit = 50) {
         totalGames: stats.totalGames,
         peakRating: stats.peakRating,
         tier: elo.getTierFromRating(rating),
+        season: stats.season,
       });
     }
   }
   return leaderboard;
 }
 
+/** Chat: the last MAX_CHAT_MESSAGES per room, oldest first; sends counted per user per window */
+const MAX_CHAT_MESSAGES = 50;
+const CHAT_TTL_SECONDS = 60 * 60;
+const CHAT_RATE_WINDOW_SECONDS = 10;
+const CHAT_RATE_LIMIT = 5;
+
+function keyChat(roomId) {
+  return `chat:${roomId}`;
+}
+
+function keyChatRate(userId) {
+  return `chatRate:${userId}`;
+}
+
+async function appendChatMessage(roomId, message) {
+  const { pubClient } = getClients();
+  const multi = pubClient.multi();
+  multi.rpush(keyChat(roomId), JSON.stringify(message));
+  multi.ltrim(keyChat(roomId), -MAX_CHAT_MESSAGES, -1);
+  multi.expire(keyChat(roomId), CHAT_TTL_SECONDS);
+  await multi.exec();
+}
+
+async function getChatMessages(roomId) {
+  const { pubClient } = getClients();
+  const raw = await pubClient.lrange(keyChat(roomId), 0, -1);
+  return raw.map((r) => {
+    try {
+      return JSON.parse(r);
+    } catch (e) {
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+/**
+ * Count a chat message or emote against the user's limit (shared by all instances).
+ * @returns {Promise<boolean>} false when the user is over CHAT_RATE_LIMIT in the current window
+ */
+async function takeChatAllowance(userId) {
+  const { pubClient } = getClients();
+  // The first message of a window creates the counter with its expiry
+  const [, [, count]] = await pubClient.multi()
+    .set(keyChatRate(userId), 0, 'EX', CHAT_RATE_WINDOW_SECONDS, 'NX')
+    .incr(keyChatRate(userId))
+    .exec();
+  return count <= CHAT_RATE_LIMIT;
+}
+
+/** Private room passwords: tries counted per user and per room, so wrong guesses cannot tie up the hashing */
+const PASSWORD_ATTEMPT_WINDOW_SECONDS = 60;
+const PASSWORD_ATTEMPTS_PER_USER = 5;
+const PASSWORD_ATTEMPTS_PER_ROOM = 20;
+
+function keyPasswordAttemptsByUser(userId) {
+  return `passwordAttempts:user:${userId}`;
+}
+
+function keyPasswordAttemptsByRoom(roomId) {
+  return `passwordAttempts:room:${roomId}`;
+}
+
+/**
+ * Count a password try against the user's and the room's limits (shared by all instances).
+ * @returns {Promise<boolean>} false when either is over its limit in the current window
+ */
+async function takePasswordAttempt(userId, roomId) {
+  const { pubClient } = getClients();
+  // The first try of a window creates each counter with its expiry
+  const [, [, byUser], , [, byRoom]] = await pubClient.multi()
+    .set(keyPasswordAttemptsByUser(userId), 0, 'EX', PASSWORD_ATTEMPT_WINDOW_SECONDS, 'NX')
+    .incr(keyPasswordAttemptsByUser(userId))
+    .set(keyPasswordAttemptsByRoom(roomId), 0, 'EX', PASSWORD_ATTEMPT_WINDOW_SECONDS, 'NX')
+    .incr(keyPasswordAttemptsByRoom(roomId))
+    .exec();
+  return byUser <= PASSWORD_ATTEMPTS_PER_USER && byRoom <= PASSWORD_ATTEMPTS_PER_ROOM;
+}
+
+/** Matchmaking: one sorted set per game type and table size (score = queued at, ms), entries by userId */
+const MATCH_QUEUES_KEY = 'matchQueues';
+const MATCH_ENTRIES_KEY = 'matchEntries';
+
+function keyMatchQueue(gameType, maxPlayers) {
+  return `matchQueue:${gameType}:${maxPlayers}`;
+}
+
+// KEYS[1] = queue, KEYS[2] = entries hash, ARGV = userIds; takes all of them or none
+const CLAIM_MATCH_SCRIPT = `
+for _, userId in ipairs(ARGV) do
+  if not redis.call('ZSCORE', KEYS[1], userId) then
+    return 0
+  end
+end
+redis.call('ZREM', KEYS[1], unpack(ARGV))
+redis.call('HDEL', KEYS[2], unpack(ARGV))
+return 1
+`;
+
+/**
+ * Queue a player for matchmaking.
+ * @param {{ userId: string, gameType: number, maxPlayers: number, rating: number, joinedAt: number }} entry
+ * @returns {Promise<boolean>} false if the player is already queued
+ */
+async function enqueueMatch(entry) {
+  const { pubClient } = getClients();
+  const added = await pubClient.hsetnx(MATCH_ENTRIES_KEY, entry.userId, JSON.stringify(entry));
+  if (!added) return false;
+  const queueKey = keyMatchQueue(entry.gameType, entry.maxPlayers);
+  const multi = pubClient.multi();
+  multi.zadd(queueKey, entry.joinedAt, entry.userId);
+  multi.sadd(MATCH_QUEUES_KEY, queueKey);
+  await multi.exec();
+  return true;
+}
+
+/** Take a player out of the queue; returns their entry, or null if they were not queued */
+async function dequeueMatch(userId) {
+  const { pubClient } = getClients();
+  const raw = await pubClient.hget(MATCH_ENTRIES_KEY, userId);
+  if (!raw) return null;
+  const entry = JSON.parse(raw);
+  const multi = pubClient.multi();
+  multi.zrem(keyMatchQueue(entry.gameType, entry.maxPlayers), userId);
+  multi.hdel(MATCH_ENTRIES_KEY, userId);
+  await multi.exec();
+  return entry;
+}
+
+/** Every non-empty queue with its entries, oldest first */
+async function getMatchQueues() {
+  const { pubClient } = getClients();
+  const queueKeys = await pubClient.smembers(MATCH_QUEUES_KEY);
+  const queues = [];
+  for (const queueKey of queueKeys) {
+    const userIds = await pubClient.zrange(queueKey, 0, -1);
+    if (userIds.length === 0) continue;
+    const raws = await pubClient.hmget(MATCH_ENTRIES_KEY, ...userIds);
+    const entries = raws.filter(Boolean).map((r) => JSON.parse(r));
+    const [, gameType, maxPlayers] = queueKey.split(':');
+    queues.push({ gameType: Number(gameType), maxPlayers: Number(maxPlayers), entries });
+  }
+  return queues;
+}
+
+/**
+ * Atomically remove a matched group from its queue.
+ * @returns {Promise<boolean>} false if any of them already left or was matched elsewhere
+ */
+async function claimMatch(gameType, maxPlayers, userIds) {
+  const { pubClient } = getClients();
+  const claimed = await pubClient.eval(
+    CLAIM_MATCH_SCRIPT, 2, keyMatchQueue(gameType, maxPlayers), MATCH_ENTRIES_KEY, ...userIds
+  );
+  return claimed === 1;
+}
+
 async function getRoom(roomId) {
   const { pubClient } = getClients();
   const raw = await pubClient.get(keyRoom(roomId));
@@ -228,12 +633,58 @@ async function getRoom(roomId) {
   }
 }
 
+// KEYS[1] = room key, ARGV[1] = version the caller loaded, ARGV[2] = room JSON, ARGV[3] = TTL seconds
+const SAVE_ROOM_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+local version = 0
+if current then
+  version = cjson.decode(current).version or 0
+end
+if version ~= tonumber(ARGV[1]) then
+  return 0
+end
+redis.call('SET', KEYS[1], ARGV[2], 'EX', ARGV[3])
+return 1
+`;
+
+/**
+ * Compare-and-set save: writes only if the stored version is still the one the room was loaded
+ * with (0 for a new room), then bumps room.version.
+ * @returns {Promise<boolean>} false if another write got there first; nothing is written then
+ */
 async function saveRoom(room) {
   const { pubClient } = getClients();
-  const toSave = { ...room };
+  const expected = room.version || 0;
+  const toSave = { ...room, version: expected + 1 };
   toSave.turnTimer = null;
   toSave.disconnectTimer = null;
-  await pubClient.set(keyRoom(room.roomId), JSON.stringify(toSave), 'EX', ROOM_TTL_SECONDS);
+  const saved = await pubClient.eval(
+    SAVE_ROOM_SCRIPT, 1, keyRoom(room.roomId), expected, JSON.stringify(toSave), ROOM_TTL_SECONDS
+  );
+  if (saved !== 1) return false;
+  room.version = expected + 1;
+  return true;
+}
+
+/** Every stored room (SCAN, so it does not block Redis); used to re-arm timers on startup */
+async function getAllRooms() {
+  const { pubClient } = getClients();
+  const rooms = [];
+  let cursor = '0';
+  do {
+    const [next, keys] = await pubClient.scan(cursor, 'MATCH', 'room:*', 'COUNT', 100);
+    cursor = next;
+    if (keys.length > 0) {
+      const raws = await pubClient.mget(keys);
+      for (const raw of raws) {
+        if (!raw) continue;
+        try {
+          rooms.push(JSON.parse(raw));
+        } catch (e) {}
+      }
+    }
+  } while (cursor !== '0');
+  return rooms;
 }
 
 async function deleteRoom(roomId) {
@@ -295,6 +746,7 @@ module.exports = {
   disconnect,
   getRoom,
   saveRoom,
+  getAllRooms,
   deleteRoom,
   getRoomPlayerIds,
   setRoomPlayerIds,
@@ -307,6 +759,26 @@ module.exports = {
   recordGameResult,
   updateRating,
   updateStatsAndRating,
+  getCurrentSeason,
+  rolloverSeason,
+  getSeasonArchives,
+  getSeasonArchive,
   getLeaderboard,
+  recordGameSummary,
+  getHistory,
+  getRatingHistory,
+  getFairness,
+  saveFairnessDeal,
+  revealServerSeed,
+  appendRoomLog,
+  getRoomLog,
+  enqueueMatch,
+  dequeueMatch,
+  getMatchQueues,
+  claimMatch,
+  appendChatMessage,
+  getChatMessages,
+  takeChatAllowance,
+  takePasswordAttempt,
   ROOM_TTL_SECONDS,
 };
@@ -0,0 +1,131 @@
+/**
+ * Distributed room timers (turn expiry, bot moves, show window, forfeits, pool redeals, bot fill).
+ * Due times live in the Redis sorted set `timers` (score = due time in ms, member = `kind:roomId`),
+ * so a timer outlives the instance that set it. Every instance polls the set; a Lua script
+ * leases due members as it returns them (moves them CLAIM_LEASE_MS into the future), so each
+ * timer fires on one instance at a time. A timer is removed once its handler succeeds; if the
+ * handler throws or the instance dies first, the lease runs out and the timer fires again.
+ * There is one timer per kind per room: scheduling it again moves it.
+ */
+
+const redis = require('./redis');
+
+const TIMERS_KEY = 'timers';
+const POLL_INTERVAL_MS = 250;
+const CLAIM_BATCH_SIZE = 50;
+const CLAIM_LEASE_MS = 5 * 1000;
+
+// KEYS[1] = timers, ARGV[1] = now, ARGV[2] = batch size, ARGV[3] = lease end
+const CLAIM_SCRIPT = `
+local due = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, ARGV[2])
+for _, member in ipairs(due) do
+  redis.call('ZADD', KEYS[1], 'XX', ARGV[3], member)
+end
+return due
+`;
+
+// Remove a fired timer unless its handler scheduled it again. KEYS[1] = timers, ARGV[1] = member, ARGV[2] = lease end
+const RELEASE_SCRIPT = `
+local score = redis.call('ZSCORE', KEYS[1], ARGV[1])
+if score and tonumber(score) == tonumber(ARGV[2]) then
+  return redis.call('ZREM', KEYS[1], ARGV[1])
+end
+return 0
+`;
+
+const handlers = {};
+let pollInterval = null;
+let polling = false;
+
+function timerMember(kind, roomId) {
+  return `${kind}:${roomId}`;
+}
+
+/**
+ * @param {string} kind - 'turn' | 'bot' | 'show' | 'forfeit' | 'round' | 'botfill'
+ * @param {string} roomId
+ * @param {number} dueAt - ms timestamp
+ * @param {{ onlyIfMissing?: boolean }} [options] - keep an existing timer instead of moving it
+ */
+async function schedule(kind, roomId, dueAt, { onlyIfMissing = false } = {}) {
+  const { pubClient } = redis.getClients();
+  const member = timerMember(kind, roomId);
+  if (onlyIfMissing) {
+    await pubClient.zadd(TIMERS_KEY, 'NX', dueAt, member);
+  } else {
+    await pubClient.zadd(TIMERS_KEY, dueAt, member);
+  }
+}
+
+async function cancel(kind, roomId) {
+  const { pubClient } = redis.getClients();
+  await pubClient.zrem(TIMERS_KEY, timerMember(kind, roomId));
+}
+
+/** Atomically lease the timers that are due; no other instance sees them until leaseUntil. */
+async function claimDue(now = Date.now()) {
+  const { pubClient } = redis.getClients();
+  const leaseUntil = now + CLAIM_LEASE_MS;
+  const members = await pubClient.eval(CLAIM_SCRIPT, 1, TIMERS_KEY, now, CLAIM_BATCH_SIZE, leaseUntil);
+  return members.map((member) => {
+    const split = member.indexOf(':');
+    return { kind: member.slice(0, split), roomId: member.slice(split + 1), leaseUntil };
+  });
+}
+
+async function release(kind, roomId, leaseUntil) {
+  const { pubClient } = redis.getClients();
+  await pubClient.eval(RELEASE_SCRIPT, 1, TIMERS_KEY, timerMember(kind, roomId), leaseUntil);
+}
+
+async function poll() {
+  if (polling) return;
+  polling = true;
+  try {
+    const due = await claimDue();
+    await Promise.all(due.map(async ({ kind, roomId, leaseUntil }) => {
+      const handler = handlers[kind];
+      if (!handler) {
+        console.warn(`[scheduler] No handler for ${kind} timer (room=${roomId})`);
+        return;
+      }
+      try {
+        await handler(roomId);
+        await release(kind, roomId, leaseUntil);
+      } catch (error) {
+        // Left leased: it fires again once the lease runs out
+        console.error(`[scheduler] ${kind} timer error room=${roomId}:`, error);
+      }
+    }));
+  } catch (error) {
+    console.error('[scheduler] Poll error:', error.message);
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Register handlers by kind and start polling.
+ * @param {Object<string, function(string): Promise<void>>} kindHandlers - Called with the roomId once the timer is due
+ */
+function start(kindHandlers) {
+  Object.assign(handlers, kindHandlers);
+  if (!pollInterval) {
+    pollInterval = setInterval(poll, POLL_INTERVAL_MS);
+  }
+}
+
+function stop() {
+  if (pollInterval) {
+    clearInterval(pollInterval);
+    pollInterval = null;
+  }
+}
+
+module.exports = {
+  schedule,
+  cancel,
+  claimDue,
+  start,
+  stop,
+};
@@ -0,0 +1,43 @@
+/**
+ * Season clock: with SEASON_LENGTH_DAYS set, every instance checks once a minute whether the
+ * current season has run out and rolls it over. redis.rolloverSeason only lets one of them win.
+ */
+
+const config = require('../config/env');
+const redis = require('./redis');
+const seasons = require('../game/seasons');
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+let checkInterval = null;
+
+async function checkRollover() {
+  try {
+    const season = await redis.getCurrentSeason();
+    if (!seasons.isDue(season, config.SEASON_LENGTH_DAYS)) return;
+    const result = await redis.rolloverSeason(season.id);
+    if (result.ok) {
+      console.log(`[seasons] season ${result.archived.id} archived (${result.archived.players} players), season ${result.season.id} started`);
+    }
+  } catch (error) {
+    console.error('[seasons] Rollover check error:', error.message);
+  }
+}
+
+function start() {
+  if (checkInterval || config.SEASON_LENGTH_DAYS <= 0) return;
+  checkInterval = setInterval(checkRollover, CHECK_INTERVAL_MS);
+}
+
+function stop() {
+  if (checkInterval) {
+    clearInterval(checkInterval);
+    checkInterval = null;
+  }
+}
+
+module.exports = {
+  checkRollover,
+  start,
+  stop,
+};
@@ -1,15 +1,36 @@
 /**
  * Socket.IO event handlers - all async with Redis storage.
- * Events: create_room, join_room, rejoin_room, start_game, pick_card, discard_card, declare, preview_hand, leave_room.
+ * Events: create_room, join_room, rejoin_room, start_game, request_rematch, accept_rematch, pick_card, discard_card, declare, drop, submit_show, next_deal, auto_arrange, preview_hand, get_history, get_rating_history, spectate_room, leave_room.
  * Security: validate every payload (room exists, player in room, game state, userId present). Reject invalid packets.
  */
 
+const config = require('./config/env');
 const gameManager = require('./game/gameManager');
 const { validateDeclare, calculateDeadwood } = require('./game/validator');
 const { deadwoodPoints } = require('./game/scoring');
 const elo = require('./game/elo');
-
-const turnTimers = new Map();
+const glicko2 = require('./game/glicko2');
+const pool = require('./game/pool');
+const deals = require('./game/deals');
+const fairness = require('./game/fairness');
+const bot = require('./game/bot');
+const solver = require('./game/solver');
+const matchmaking = require('./game/matchmaking');
+const access = require('./game/access');
+const rules = require('./game/rules');
+const chat = require('./game/chat');
+const rematch = require('./game/rematch');
+const scheduler = require('./services/scheduler');
+const auth = require('./services/auth');
+
+const ROUND_BREAK_MS = 5 * 1000;
+const BOT_MOVE_DELAY_MS = 1000;
+const BOT_FILL_TIMEOUT_MS = 60 * 1000;
+// How long players have to send a client seed after the server seed hash is published
+const CLIENT_SEED_WINDOW_MS = 5 * 1000;
+const MAX_SPECTATOR_LIMIT = 100;
+const MATCHMAKING_INTERVAL_MS = 2000;
+const CHAT_BLOCKED_WORDS = chat.parseBlockedWords(config.CHAT_BLOCKED_WORDS);
 
 function invalidPayload(data) {
   if (!data || typeof data !== 'object') return { ok: false, reason: 'Invalid payload' };
@@ -21,6 +42,31 @@ function ensureRoom(room) {
   return null;
 }
 
+function ensureCreator(room, userId) {
+  if (room.creatorUserId !== userId) return { ok: false, reason: 'Only the room creator can do this' };
+  return null;
+}
+
+/** Verify an optional invite token; { ok: true, invite: null } when none was sent. */
+function readInvite(inviteToken) {
+  if (inviteToken === undefined) return { ok: true, invite: null };
+  const result = auth.verifyInviteToken(inviteToken);
+  if (!result.ok) return result;
+  return { ok: true, invite: { roomId: result.roomId, inviteId: result.inviteId } };
+}
+
+/** Count a password try against the user's and the room's limits; null when it may go ahead. */
+async function limitPasswordAttempts(redis, userId, roomId, password) {
+  if (password === undefined) return null;
+  if (await redis.takePasswordAttempt(userId, roomId)) return null;
+  return { ok: false, reason: 'Too many password attempts, try again later' };
+}
+
+/** Room exists, the user has a seat and the game is in the given state. */
+function ensureSeatedInState(room, userId, state) {
+  return ensureRoom(room) || ensurePlayerInRoom(room, userId) || ensureGameState(room, state);
+}
+
 function ensureUserId(userId) {
   if (!userId || typeof userId !== 'string' || !userId.trim()) return { ok: false, reason: 'userId required' };
   return null;
@@ -40,9 +86,25 @@ function ensureGameState(room, state) {
 }
 
 function setupSocketHandlers(io, redis) {
+  scheduler.start({
+    turn: (roomId) => onTurnExpired(roomId, io, redis),
+    bot: (roomId) => onBotMove(roomId, io, redis),
+    show: (roomId) => onShowExpired(roomId, io, redis),
+    forfeit: (roomId) => onForfeitDue(roomId, io, redis),
+    round: (roomId) => onRoundBreakOver(roomId, io, redis),
+    botfill: (roomId) => onBotFillDue(roomId, io, redis),
+    deal: (roomId) => onDealDue(roomId, io, redis),
+  });
+  rearmTimers(redis).catch((error) => console.error('[socket] re-arm timers error:', error));
+  startMatchmaking(io, redis);
+
   io.on('connection', async (socket) => {
     let currentRoomId = null;
-    let currentUserId = null;
+    // Verified by the handshake middleware; client-supplied userIds are ignored
+    const currentUserId = socket.data.userId;
+    let spectatingRoomId = null;
+    // Lets any instance reach this user, e.g. when matchmaking seats them
+    if (currentUserId) socket.join(userChannel(currentUserId));
 
     const ackSafe = (ack, payload) => {
       if (typeof ack === 'function') ack(payload);
@@ -53,11 +115,77 @@ function setupSocketHandlers(io, redis) {
       try {
         const err = invalidPayload(data);
         if (err) return ackSafe(ack, err);
-        const { gameType = 13, maxPlayers = 2, practiceMode = true, userId } = data;
+        const {
+          gameType = 13, maxPlayers = 2, practiceMode = true,
+          variant, poolLimit = 101, totalDeals = 2, startingChips, pointValue,
+          botCount = 0, botDifficulty = 'medium', showFallback = 'solver',
+          wrongShowPolicy = 'penalty', wrongShowPenalty, firstDropPenalty, middleDropPenalty, clientSeed,
+          spectatorLimit, spectatorDelayMs, visibility = 'public', password,
+        } = data;
+        const tableRules = rules.validateRules(data.rules, gameType, maxPlayers);
+        if (!tableRules.ok) return ackSafe(ack, tableRules);
+        const userId = currentUserId;
         const uidErr = ensureUserId(userId);
         if (uidErr) return ackSafe(ack, uidErr);
+        if (clientSeed !== undefined && !fairness.isValidClientSeed(clientSeed)) {
+          return ackSafe(ack, { ok: false, reason: `clientSeed must be a string of at most ${fairness.MAX_CLIENT_SEED_LENGTH} characters` });
+        }
+        if (variant === 'pool' && !pool.isValidPoolLimit(poolLimit)) {
+          return ackSafe(ack, { ok: false, reason: `poolLimit must be one of ${pool.POOL_LIMITS.join(', ')}` });
+        }
+        if (variant === 'deals' && !deals.isValidDealCount(totalDeals)) {
+          return ackSafe(ack, { ok: false, reason: `totalDeals must be between 1 and ${deals.MAX_DEALS}` });
+        }
+        if (startingChips !== undefined && (!Number.isInteger(startingChips) || startingChips <= 0)) {
+          return ackSafe(ack, { ok: false, reason: 'startingChips must be a positive integer' });
+        }
+        if (pointValue !== undefined && (typeof pointValue !== 'number' || !(pointValue > 0))) {
+          return ackSafe(ack, { ok: false, reason: 'pointValue must be a positive number' });
+        }
+        if (!Number.isInteger(botCount) || botCount < 0 || botCount >= maxPlayers) {
+          return ackSafe(ack, { ok: false, reason: 'botCount must leave at least one seat for a player' });
+        }
+        if (botCount > 0 && !practiceMode) return ackSafe(ack, { ok: false, reason: 'Bots are only allowed in practice rooms' });
+        if (!gameManager.SHOW_FALLBACKS.includes(showFallback)) {
+          return ackSafe(ack, { ok: false, reason: `showFallback must be one of ${gameManager.SHOW_FALLBACKS.join(', ')}` });
+        }
+        if (!gameManager.WRONG_SHOW_POLICIES.includes(wrongShowPolicy)) {
+          return ackSafe(ack, { ok: false, reason: `wrongShowPolicy must be one of ${gameManager.WRONG_SHOW_POLICIES.join(', ')}` });
+        }
+        if (wrongShowPenalty !== undefined && (!Number.isInteger(wrongShowPenalty) || wrongShowPenalty <= 0)) {
+          return ackSafe(ack, { ok: false, reason: 'wrongShowPenalty must be a positive integer' });
+        }
+        for (const [name, value] of Object.entries({ firstDropPenalty, middleDropPenalty })) {
+          if (value !== undefined && (!Number.isInteger(value) || value <= 0)) {
+            return ackSafe(ack, { ok: false, reason: `${name} must be a positive integer` });
+          }
+        }
+        if (spectatorLimit !== undefined && (!Number.isInteger(spectatorLimit) || spectatorLimit < 0 || spectatorLimit > MAX_SPECTATOR_LIMIT)) {
+          return ackSafe(ack, { ok: false, reason: `spectatorLimit must be between 0 and ${MAX_SPECTATOR_LIMIT}` });
+        }
+        if (spectatorDelayMs !== undefined && (!Number.isInteger(spectatorDelayMs) || spectatorDelayMs < 0 || spectatorDelayMs > gameManager.MAX_SPECTATOR_DELAY_MS)) {
+          return ackSafe(ack, { ok: false, reason: `spectatorDelayMs must be between 0 and ${gameManager.MAX_SPECTATOR_DELAY_MS}` });
+        }
+        if (!bot.DIFFICULTIES[botDifficulty]) {
+          return ackSafe(ack, { ok: false, reason: `botDifficulty must be one of ${Object.keys(bot.DIFFICULTIES).join(', ')}` });
+        }
+
+        if (!access.VISIBILITIES.includes(visibility)) {
+          return ackSafe(ack, { ok: false, reason: `visibility must be one of ${access.VISIBILITIES.join(', ')}` });
+        }
+        if (password !== undefined) {
+          if (visibility !== 'private') return ackSafe(ack, { ok: false, reason: 'Only private rooms have a password' });
+          if (!access.isValidPassword(password)) {
+            return ackSafe(ack, { ok: false, reason: `password must be ${access.MIN_PASSWORD_LENGTH} to ${access.MAX_PASSWORD_LENGTH} characters` });
+          }
+        }
 
-        const room = gameManager.createRoom(gameType, maxPlayers, practiceMode, userId);
+        const room = gameManager.createRoom(gameType, maxPlayers, practiceMode, userId, {
+          variant, poolLimit, totalDeals, startingChips, pointValue, botCount, botDifficulty, showFallback,
+          wrongShowPolicy, wrongShowPenalty, firstDropPenalty, middleDropPenalty, spectatorLimit, spectatorDelayMs,
+          visibility, rules: tableRules.rules,
+        });
+        if (password !== undefined) await access.setPassword(room.access, password);
         room.players.push({
           id: socket.id,
           userId,
@@ -65,17 +193,21 @@ function setupSocketHandlers(io, redis) {
           isBot: false,
           disconnected: false,
         });
+        fairness.setClientSeed(room, userId, clientSeed);
 
-        await redis.saveRoom(room);
+        await gameManager.persistRoom(room, redis);
         await redis.setRoomPlayerIds(room.roomId, [socket.id]);
         await redis.setUserIdToSocketId(userId, socket.id);
         await redis.savePlayer(userId, { roomId: room.roomId, socketId: socket.id });
 
         currentRoomId = room.roomId;
-        currentUserId = userId;
         socket.join(room.roomId);
 
-        ackSafe(ack, { ok: true, roomId: room.roomId, room });
+        if (room.botCount > 0) {
+          armTimer('botfill', room.roomId, Date.now() + BOT_FILL_TIMEOUT_MS);
+        }
+
+        ackSafe(ack, { ok: true, roomId: room.roomId, room: gameManager.publicRoom(room) });
       } catch (error) {
         console.error('[socket] create_room error:', error);
         ackSafe(ack, { ok: false, reason: error.message });
@@ -87,42 +219,52 @@ function setupSocketHandlers(io, redis) {
       try {
         const err = invalidPayload(data);
         if (err) return ackSafe(ack, err);
-        const { roomId, username, userId } = data;
+        const { roomId, username, clientSeed, password, inviteToken } = data;
+        const userId = currentUserId;
         const uidErr = ensureUserId(userId);
         if (uidErr) return ackSafe(ack, uidErr);
         if (!roomId || typeof roomId !== 'string') return ackSafe(ack, { ok: false, reason: 'roomId required' });
-
-        const room = await redis.getRoom(roomId);
-        if (ensureRoom(room)) return ackSafe(ack, ensureRoom(room));
-        if (ensureGameState(room, 'waiting')) return ackSafe(ack, ensureGameState(room, 'waiting'));
-
-        if (room.players.length >= room.maxPlayers) return ackSafe(ack, { ok: false, reason: 'Room is full' });
-
-        // Check if already in room
-        const existingPlayer = room.players.find((p) => p.userId === userId);
-        if (existingPlayer) return ackSafe(ack, { ok: false, reason: 'Already in room' });
-
-        room.players.push({
-          id: socket.id,
-          userId,
-          name: username || `Player ${room.players.length + 1}`,
-          isBot: false,
-          disconnected: false,
+        if (clientSeed !== undefined && !fairness.isValidClientSeed(clientSeed)) {
+          return ackSafe(ack, { ok: false, reason: `clientSeed must be a string of at most ${fairness.MAX_CLIENT_SEED_LENGTH} characters` });
+        }
+        const invite = readInvite(inviteToken);
+        if (!invite.ok) return ackSafe(ack, invite);
+        const limited = await limitPasswordAttempts(redis, userId, roomId, password);
+        if (limited) return ackSafe(ack, limited);
+
+        const { room, result } = await gameManager.withRoom(roomId, redis, async (room) => {
+          const invalid = ensureRoom(room) || ensureGameState(room, 'waiting');
+          if (invalid) return invalid;
+          if (room.players.length >= room.maxPlayers) return { ok: false, reason: 'Room is full' };
+          // Check if already in room
+          if (room.players.some((p) => p.userId === userId)) return { ok: false, reason: 'Already in room' };
+          const allowed = await access.checkAccess(room, { userId, password, invite: invite.invite });
+          if (!allowed.ok) return allowed;
+
+          room.players.push({
+            id: socket.id,
+            userId,
+            name: username || `Player ${room.players.length + 1}`,
+            isBot: false,
+            disconnected: false,
+          });
+          fairness.setClientSeed(room, userId, clientSeed);
+          await gameManager.persistRoom(room, redis);
+          return { ok: true };
         });
+        if (!result.ok) return ackSafe(ack, result);
 
         const playerIds = await redis.getRoomPlayerIds(roomId);
         playerIds.push(socket.id);
         await redis.setRoomPlayerIds(roomId, playerIds);
         await redis.setUserIdToSocketId(userId, socket.id);
         await redis.savePlayer(userId, { roomId, socketId: socket.id });
-        await redis.saveRoom(room);
 
         currentRoomId = roomId;
-        currentUserId = userId;
         socket.join(roomId);
 
-        io.to(roomId).emit('player_joined', { room });
-        ackSafe(ack, { ok: true, room });
+        io.to(roomId).emit('player_joined', { room: gameManager.publicRoom(room) });
+        ackSafe(ack, { ok: true, room: gameManager.publicRoom(room) });
       } catch (error) {
         console.error('[socket] join_room error:', error);
         ackSafe(ack, { ok: false, reason: error.message });
@@ -134,20 +276,27 @@ function setupSocketHandlers(io, redis) {
       try {
         const err = invalidPayload(data);
         if (err) return ackSafe(ack, err);
-        const { roomId, userId } = data;
+        const { roomId } = data;
+        const userId = currentUserId;
         const uidErr = ensureUserId(userId);
         if (uidErr) return ackSafe(ack, uidErr);
         if (!roomId || typeof roomId !== 'string') return ackSafe(ack, { ok: false, reason: 'roomId required' });
 
-        const room = await redis.getRoom(roomId);
-        if (ensureRoom(room)) return ackSafe(ack, ensureRoom(room));
-        if (ensurePlayerInRoom(room, userId)) return ackSafe(ack, ensurePlayerInRoom(room, userId));
-        const player = room.players.find((p) => p.userId === userId);
-
-        // Update socket ID
-        const oldSocketId = player.id;
-        player.id = socket.id;
-        player.disconnected = false;
+        let oldSocketId = null;
+        const { room, result } = await gameManager.withRoom(roomId, redis, async (room) => {
+          const invalid = ensureRoom(room) || ensurePlayerInRoom(room, userId);
+          if (invalid) return invalid;
+          const player = room.players.find((p) => p.userId === userId);
+
+          // Update socket ID
+          oldSocketId = player.id;
+          player.id = socket.id;
+          gameManager.markBack(room, player);
+          await gameManager.persistRoom(room, redis);
+          return { ok: true };
+        });
+        if (!result.ok) return ackSafe(ack, result);
+        armForfeitTimer(room);
 
         const playerIds = await redis.getRoomPlayerIds(roomId);
         const index = playerIds.indexOf(oldSocketId);
@@ -158,63 +307,200 @@ function setupSocketHandlers(io, redis) {
         }
         await redis.setRoomPlayerIds(roomId, playerIds);
         await redis.setUserIdToSocketId(userId, socket.id);
-        await redis.saveRoom(room);
 
         currentRoomId = roomId;
-        currentUserId = userId;
         socket.join(roomId);
 
-        // Send hand if game is playing
-        if (room.gameState === 'playing' && room.hands[userId]) {
+        // Send hand if game is playing or losers are showing
+        if ((room.gameState === 'playing' || room.gameState === 'showing') && room.hands[userId]) {
           socket.emit('your_hand', { hand: room.hands[userId] });
+          if ((room.jokerRevealedTo || []).includes(userId)) {
+            socket.emit('joker_revealed', gameManager.jokerFor(room, userId));
+          }
         }
 
-        io.to(roomId).emit('player_rejoined', { room });
-        ackSafe(ack, { ok: true, room });
+        socket.emit('chat_history', { messages: await redis.getChatMessages(roomId) });
+        io.to(roomId).emit('player_rejoined', { room: gameManager.publicRoom(room) });
+        ackSafe(ack, { ok: true, room: gameManager.publicRoom(room) });
       } catch (error) {
         console.error('[socket] rejoin_room error:', error);
         ackSafe(ack, { ok: false, reason: error.message });
       }
     });
 
-    // start_game
-    socket.on('start_game', async (data, ack) => {
+    // set_client_seed: a seated player's seed for the next deal, sent after seeing its serverSeedHash
+    socket.on('set_client_seed', async (data, ack) => {
       try {
         const err = invalidPayload(data);
         if (err) return ackSafe(ack, err);
-        const { roomId } = data;
+        const { roomId, clientSeed } = data;
         if (!roomId || typeof roomId !== 'string') return ackSafe(ack, { ok: false, reason: 'roomId required' });
+        if (!fairness.isValidClientSeed(clientSeed)) {
+          return ackSafe(ack, { ok: false, reason: `clientSeed must be a string of at most ${fairness.MAX_CLIENT_SEED_LENGTH} characters` });
+        }
 
-        const room = await redis.getRoom(roomId);
-        if (ensureRoom(room)) return ackSafe(ack, ensureRoom(room));
-        if (ensureUserId(currentUserId)) return ackSafe(ack, { ok: false, reason: 'Not authenticated' });
-        if (room.creatorUserId !== currentUserId) return ackSafe(ack, { ok: false, reason: 'Only creator can start game' });
-        if (ensureGameState(room, 'waiting')) return ackSafe(ack, ensureGameState(room, 'waiting'));
-
-        const result = await gameManager.startGame(room, redis);
+        const { room, result } = await gameManager.withRoom(roomId, redis, async (room) => {
+          const invalid = ensureSeatedInState(room, currentUserId, 'waiting');
+          if (invalid) return invalid;
+          fairness.setClientSeed(room, currentUserId, clientSeed);
+          // Everyone has answered the commitment: no need to wait out the seed window
+          if (room.dealsAt && fairness.seedsReady(room)) {
+            const started = await startWithBots(room, redis);
+            if (started.ok) return { ...started, started: true };
+          }
+          await gameManager.persistRoom(room, redis);
+          return { ok: true, started: false };
+        });
         if (!result.ok) return ackSafe(ack, result);
 
-        // Deal cards
-        for (const player of room.players) {
-          const hand = room.hands[player.userId] || [];
-          const playerSocket = await redis.getSocketIdByUserId(player.userId);
-          if (playerSocket) {
-            io.to(playerSocket).emit('your_hand', { hand });
-          }
+        if (result.started) {
+          clearDealTimer(roomId);
+          await announceStart(room, result, io, redis);
+        }
+        ackSafe(ack, { ok: true, started: result.started });
+      } catch (error) {
+        console.error('[socket] set_client_seed error:', error);
+        ackSafe(ack, { ok: false, reason: error.message });
+      }
+    });
+
+    // find_match: queue for a rated table of gameType / maxPlayers with players of similar rating
+    socket.on('find_match', async (data, ack) => {
+      try {
+        const err = invalidPayload(data);
+        if (err) return ackSafe(ack, err);
+        const { gameType = 13, maxPlayers = 2, username } = data;
+        const uidErr = ensureUserId(currentUserId);
+        if (uidErr) return ackSafe(ack, uidErr);
+        if (!matchmaking.isValidQueue(gameType, maxPlayers)) {
+          return ackSafe(ack, { ok: false, reason: `gameType must be one of ${matchmaking.GAME_TYPES.join(', ')} with 2 to ${matchmaking.MAX_TABLE_SIZE[gameType] || 6} players` });
+        }
+
+        const { rating } = await redis.getStats(currentUserId);
+        const queued = await redis.enqueueMatch({
+          userId: currentUserId,
+          name: username || 'Player',
+          gameType,
+          maxPlayers,
+          rating,
+          joinedAt: Date.now(),
+        });
+        if (!queued) return ackSafe(ack, { ok: false, reason: 'Already searching for a match' });
+        ackSafe(ack, { ok: true, rating });
+      } catch (error) {
+        console.error('[socket] find_match error:', error);
+        ackSafe(ack, { ok: false, reason: error.message });
+      }
+    });
+
+    // cancel_match
+    socket.on('cancel_match', async (data, ack) => {
+      try {
+        const entry = await redis.dequeueMatch(currentUserId);
+        if (!entry) return ackSafe(ack, { ok: false, reason: 'Not searching for a match' });
+        ackSafe(ack, { ok: true });
+      } catch (error) {
+        console.error('[socket] cancel_match error:', error);
+        ackSafe(ack, { ok: false, reason: error.message });
+      }
+    });
+
+    // create_invite: creator of a private room gets a signed, expiring invite token to share
+    socket.on('create_invite', async (data, ack) => {
+      try {
+        const err = invalidPayload(data);
+        if (err) return ackSafe(ack, err);
+        const { roomId, ttlSeconds = access.DEFAULT_INVITE_TTL_SECONDS } = data;
+        if (!roomId || typeof roomId !== 'string') return ackSafe(ack, { ok: false, reason: 'roomId required' });
+        if (!Number.isInteger(ttlSeconds) || ttlSeconds <= 0 || ttlSeconds > access.MAX_INVITE_TTL_SECONDS) {
+          return ackSafe(ack, { ok: false, reason: `ttlSeconds must be between 1 and ${access.MAX_INVITE_TTL_SECONDS}` });
         }
 
-        // Start turn timer
-        room.turnExpiresAt = Date.now() + (30 * 1000);
-        await redis.saveRoom(room);
-        startTurnTimer(room, io, redis);
+        const { result } = await gameManager.withRoom(roomId, redis, async (room) => {
+          const invalid = ensureRoom(room) || ensureCreator(room, currentUserId);
+          if (invalid) return invalid;
+          const created = access.createInvite(room, ttlSeconds);
+          if (created.ok) await gameManager.persistRoom(room, redis);
+          return created;
+        });
+        if (!result.ok) return ackSafe(ack, result);
 
-        io.to(roomId).emit('deal_cards', {
-          discardPile: room.discardPile,
-          currentTurnIndex: room.currentTurnIndex,
-          joker: room.joker,
+        const { token } = auth.issueInviteToken(roomId, result.inviteId, ttlSeconds);
+        ackSafe(ack, { ok: true, inviteId: result.inviteId, token, expiresAt: result.expiresAt });
+      } catch (error) {
+        console.error('[socket] create_invite error:', error);
+        ackSafe(ack, { ok: false, reason: error.message });
+      }
+    });
+
+    // revoke_invite
+    socket.on('revoke_invite', async (data, ack) => {
+      try {
+        const err = invalidPayload(data);
+        if (err) return ackSafe(ack, err);
+        const { roomId, inviteId } = data;
+        if (!roomId || typeof inviteId !== 'string') return ackSafe(ack, { ok: false, reason: 'roomId and inviteId required' });
+
+        const { result } = await gameManager.withRoom(roomId, redis, async (room) => {
+          const invalid = ensureRoom(room) || ensureCreator(room, currentUserId);
+          if (invalid) return invalid;
+          const revoked = access.revokeInvite(room, inviteId);
+          if (revoked.ok) await gameManager.persistRoom(room, redis);
+          return revoked;
         });
+        ackSafe(ack, result);
+      } catch (error) {
+        console.error('[socket] revoke_invite error:', error);
+        ackSafe(ack, { ok: false, reason: error.message });
+      }
+    });
 
-        io.to(roomId).emit('turn_timer_start', { expiresAt: room.turnExpiresAt });
+    // kick_player: creator removes someone from the waiting room; they cannot join again
+    socket.on('kick_player', async (data, ack) => {
+      try {
+        const err = invalidPayload(data);
+        if (err) return ackSafe(ack, err);
+        const { roomId, userId } = data;
+        if (!roomId || typeof userId !== 'string') return ackSafe(ack, { ok: false, reason: 'roomId and userId required' });
+
+        const { room, result } = await gameManager.withRoom(roomId, redis, async (room) => {
+          const invalid = ensureRoom(room) || ensureCreator(room, currentUserId);
+          if (invalid) return invalid;
+          const kicked = access.kickPlayer(room, userId);
+          if (kicked.ok) await gameManager.persistRoom(room, redis);
+          return kicked;
+        });
+        if (!result.ok) return ackSafe(ack, result);
+
+        const playerIds = await redis.getRoomPlayerIds(roomId);
+        await redis.setRoomPlayerIds(roomId, playerIds.filter((id) => id !== result.player.id));
+        io.to(userChannel(userId)).emit('player_kicked', { roomId, userId });
+        io.in(userChannel(userId)).socketsLeave(roomId);
+        io.to(roomId).emit('player_kicked', { roomId, userId, room: gameManager.publicRoom(room) });
+        ackSafe(ack, { ok: true });
+      } catch (error) {
+        console.error('[socket] kick_player error:', error);
+        ackSafe(ack, { ok: false, reason: error.message });
+      }
+    });
+
+    // start_game
+    socket.on('start_game', async (data, ack) => {
+      try {
+        const err = invalidPayload(data);
+        if (err) return ackSafe(ack, err);
+        const { roomId } = data;
+        if (!roomId || typeof roomId !== 'string') return ackSafe(ack, { ok: false, reason: 'roomId required' });
+
+        if (ensureUserId(currentUserId)) return ackSafe(ack, { ok: false, reason: 'Not authenticated' });
+        const { room, result } = await gameManager.withRoom(roomId, redis, (room) => {
+          if (ensureRoom(room)) return ensureRoom(room);
+          if (room.creatorUserId !== currentUserId) return { ok: false, reason: 'Only creator can start game' };
+          if (room.dealsAt) return { ok: false, reason: 'The deal starts once the client seeds are in' };
+          return ensureGameState(room, 'waiting') || startWithBots(room, redis);
+        });
+        if (!result.ok) return ackSafe(ack, result);
+        await announceStart(room, result, io, redis);
 
         console.log(`[game] start room=${roomId} players=${room.players.length}`);
         ackSafe(ack, { ok: true });
@@ -232,12 +518,9 @@ function setupSocketHandlers(io, redis) {
         const { roomId, source } = data;
         if (!roomId || !source) return ackSafe(ack, { ok: false, reason: 'roomId and source required' });
 
-        const room = await redis.getRoom(roomId);
-        if (ensureRoom(room)) return ackSafe(ack, ensureRoom(room));
-        if (ensurePlayerInRoom(room, currentUserId)) return ackSafe(ack, ensurePlayerInRoom(room, currentUserId));
-        if (ensureGameState(room, 'playing')) return ackSafe(ack, ensureGameState(room, 'playing'));
-
-        const result = await gameManager.pickCard(room, currentUserId, source, redis);
+        const { room, result } = await gameManager.withRoom(roomId, redis, (room) => (
+          ensureSeatedInState(room, currentUserId, 'playing') || gameManager.pickCard(room, currentUserId, source, redis)
+        ));
         if (!result.ok) return ackSafe(ack, result);
 
         // Send updated hand
@@ -246,7 +529,7 @@ function setupSocketHandlers(io, redis) {
           socket.emit('your_hand', { hand });
         }
 
-        ackSafe(ack, { ok: true });
+        ackSafe(ack, { ok: true, turnPhase: room.turnPhase });
       } catch (error) {
         console.error('[socket] pick_card error:', error);
         ackSafe(ack, { ok: false, reason: error.message });
@@ -261,43 +544,13 @@ function setupSocketHandlers(io, redis) {
         const { roomId, card } = data;
         if (!roomId || !card) return ackSafe(ack, { ok: false, reason: 'roomId and card required' });
 
-        const room = await redis.getRoom(roomId);
-        if (ensureRoom(room)) return ackSafe(ack, ensureRoom(room));
-        if (ensurePlayerInRoom(room, currentUserId)) return ackSafe(ack, ensurePlayerInRoom(room, currentUserId));
-        if (ensureGameState(room, 'playing')) return ackSafe(ack, ensureGameState(room, 'playing'));
-
-        const result = await gameManager.discardCard(room, currentUserId, card, redis);
+        const { room, result } = await gameManager.withRoom(roomId, redis, (room) => (
+          ensureSeatedInState(room, currentUserId, 'playing') || gameManager.discardCard(room, currentUserId, card, redis)
+        ));
         if (!result.ok) return ackSafe(ack, result);
 
-        // Clear turn timer
-        clearTurnTimer(roomId);
-
-        // Start next turn timer
-        startTurnTimer(room, io, redis);
-
-        io.to(roomId).emit('player_turn', {
-          currentTurnIndex: room.currentTurnIndex,
-          discardPile: room.discardPile,
-        });
-
-        io.to(roomId).emit('turn_timer_start', { expiresAt: room.turnExpiresAt });
-
-        // Bot play if next player is bot
-        setTimeout(async () => {
-          const updatedRoom = await redis.getRoom(roomId);
-          if (updatedRoom && updatedRoom.gameState === 'playing') {
-            const currentPlayer = updatedRoom.players[updatedRoom.currentTurnIndex];
-            if (currentPlayer && currentPlayer.isBot) {
-              await gameManager.botPlay(updatedRoom, redis);
-              io.to(roomId).emit('player_turn', {
-                currentTurnIndex: updatedRoom.currentTurnIndex,
-                discardPile: updatedRoom.discardPile,
-              });
-              io.to(roomId).emit('turn_timer_start', { expiresAt: updatedRoom.turnExpiresAt });
-              startTurnTimer(updatedRoom, io, redis);
-            }
-          }
-        }, 1000);
+        // Next turn: timer, broadcast and bot play if the next player is a bot
+        announceTurn(room, io, redis);
 
         ackSafe(ack, { ok: true });
       } catch (error) {
@@ -314,114 +567,196 @@ function setupSocketHandlers(io, redis) {
         const { roomId, cards } = data;
         if (!roomId || !Array.isArray(cards)) return ackSafe(ack, { ok: false, reason: 'roomId and cards required' });
 
-        const room = await redis.getRoom(roomId);
-        if (ensureRoom(room)) return ackSafe(ack, ensureRoom(room));
-        if (ensurePlayerInRoom(room, currentUserId)) return ackSafe(ack, ensurePlayerInRoom(room, currentUserId));
-        if (ensureGameState(room, 'playing')) return ackSafe(ack, ensureGameState(room, 'playing'));
+        // Client sends the declared cards (hand minus the finish card); groups and finish card can be solved server-side
+        const groupedCards = Array.isArray(data.groupedCards) ? data.groupedCards : null;
+        const finishCard = typeof data.finishCard === 'string' ? data.finishCard : null;
+        const { room, result } = await gameManager.withRoom(roomId, redis, (room) => (
+          ensureSeatedInState(room, currentUserId, 'playing')
+            || gameManager.declare(room, currentUserId, cards, groupedCards, finishCard, redis)
+        ));
+        if (!result.ok) return ackSafe(ack, result);
+
+        if (result.wrongDeclaration) {
+          broadcast(io, room, 'wrong_declaration', result.wrongDeclaration);
+          await continueAfterLeaving(room, result.dealResult, io, redis);
+          return ackSafe(ack, {
+            ok: false,
+            reason: result.wrongDeclaration.reason,
+            penalty: result.wrongDeclaration.penalty,
+          });
+        }
+
+        await handleDeclared(room, result, io, redis);
+        ackSafe(ack, { ok: true });
+      } catch (error) {
+        console.error('[socket] declare error:', error);
+        ackSafe(ack, { ok: false, reason: error.message });
+      }
+    });
+
+    // show_pure_sequence: closed joker rooms reveal the wild joker to a player who has a pure sequence
+    socket.on('show_pure_sequence', async (data, ack) => {
+      try {
+        const err = invalidPayload(data);
+        if (err) return ackSafe(ack, err);
+        const { roomId, cards } = data;
+        if (!roomId || !Array.isArray(cards)) return ackSafe(ack, { ok: false, reason: 'roomId and cards required' });
 
-        // Client sends flat array; groupedCards can be provided or inferred
-        const groupedCards = data.groupedCards || [{ cards }];
-        const result = await gameManager.declare(room, currentUserId, cards, groupedCards, redis);
+        const { result } = await gameManager.withRoom(roomId, redis, (room) => (
+          ensureSeatedInState(room, currentUserId, 'playing') || gameManager.revealJoker(room, currentUserId, cards, redis)
+        ));
         if (!result.ok) return ackSafe(ack, result);
+        ackSafe(ack, { ok: true, joker: result.joker, wildJokerCard: result.wildJokerCard });
+      } catch (error) {
+        console.error('[socket] show_pure_sequence error:', error);
+        ackSafe(ack, { ok: false, reason: error.message });
+      }
+    });
 
-        clearTurnTimer(roomId);
-
-        // Get all real players (not bots) for ELO calculation
-        const realPlayers = room.players.filter((p) => p.userId && !p.isBot);
-        const winnerUserId = room.players[result.winnerIndex]?.userId;
-
-        let playerRatingChanges = [];
-        if (realPlayers.length >= 2) {
-          // Get current ratings for all real players
-          const playerRatings = await Promise.all(
-            realPlayers.map(async (p) => {
-              const stats = await redis.getStats(p.userId);
-              return {
-                userId: p.userId,
-                rating: stats.rating,
-                totalGames: stats.totalGames,
-                won: p.userId === winnerUserId,
-              };
-            })
-          );
-
-          // Calculate new ratings for each player
-          const ratingUpdates = [];
-          for (const player of playerRatings) {
-            const opponents = playerRatings.filter((p) => p.userId !== player.userId);
-            const newRating = elo.calculateNewRating(
-              player.rating,
-              player.totalGames,
-              player.won,
-              opponents
-            );
-            const ratingChange = newRating - player.rating;
-            ratingUpdates.push({ 
-              userId: player.userId, 
-              oldRating: player.rating,
-              newRating, 
-              ratingChange,
-              won: player.won 
-            });
-          }
+    // drop: fold the current hand on your turn and sit out the rest of the deal
+    socket.on('drop', async (data, ack) => {
+      try {
+        const err = invalidPayload(data);
+        if (err) return ackSafe(ack, err);
+        const { roomId } = data;
+        if (!roomId) return ackSafe(ack, { ok: false, reason: 'roomId required' });
 
-          // Atomic update: record stats and update ratings for all players
-          await Promise.all(
-            ratingUpdates.map((update) =>
-              redis.updateStatsAndRating(update.userId, update.won, update.newRating).catch((err) =>
-                console.error(`updateStatsAndRating error for ${update.userId}:`, err)
-              )
-            )
-          );
-
-          // Prepare rating changes for game_over payload
-          playerRatingChanges = await Promise.all(
-            ratingUpdates.map(async (update) => {
-              const stats = await redis.getStats(update.userId);
-              return {
-                userId: update.userId,
-                oldRating: update.oldRating,
-                newRating: update.newRating,
-                ratingChange: update.ratingChange,
-                tier: stats.tier,
-                peakRating: stats.peakRating,
-              };
-            })
-          );
-        } else {
-          // Fallback: just record stats without ELO (single player or all bots)
-          for (const p of realPlayers) {
-            if (p.userId) {
-              redis.recordGameResult(p.userId, p.userId === winnerUserId).catch((err) =>
-                console.error('recordGameResult error:', err)
-              );
-              // Still include tier for single player games
-              const stats = await redis.getStats(p.userId);
-              playerRatingChanges.push({
-                userId: p.userId,
-                oldRating: stats.rating,
-                newRating: stats.rating,
-                ratingChange: 0,
-                tier: stats.tier,
-                peakRating: stats.peakRating,
-              });
-            }
-          }
+        const { room, result } = await gameManager.withRoom(roomId, redis, (room) => (
+          ensureSeatedInState(room, currentUserId, 'playing') || gameManager.dropPlayer(room, currentUserId, redis)
+        ));
+        if (!result.ok) return ackSafe(ack, result);
+
+        broadcast(io, room, 'player_dropped', result.drop);
+        await continueAfterLeaving(room, result.dealResult, io, redis);
+        ackSafe(ack, { ok: true, penalty: result.drop.penalty });
+      } catch (error) {
+        console.error('[socket] drop error:', error);
+        ackSafe(ack, { ok: false, reason: error.message });
+      }
+    });
+
+    // submit_show: a losing player shows their melds after someone declares
+    socket.on('submit_show', async (data, ack) => {
+      try {
+        const err = invalidPayload(data);
+        if (err) return ackSafe(ack, err);
+        const { roomId, groupedCards } = data;
+        if (!roomId || !Array.isArray(groupedCards)) return ackSafe(ack, { ok: false, reason: 'roomId and groupedCards required' });
+
+        const { room, result } = await gameManager.withRoom(roomId, redis, (room) => (
+          ensureSeatedInState(room, currentUserId, 'showing') || gameManager.submitShow(room, currentUserId, groupedCards, redis)
+        ));
+        if (!result.ok) return ackSafe(ack, result);
+
+        broadcast(io, room, 'show_submitted', { userId: currentUserId });
+        if (result.complete) {
+          await finishDeclare(room, result, io, redis);
         }
 
-        io.to(roomId).emit('game_over', {
-          winnerIndex: result.winnerIndex,
-          scores: result.scores,
-          winnerHand: result.winnerHand,
-          winnerGrouped: result.winnerGrouped,
-          scoreBreakdown: result.scoreBreakdown,
-          ratingChanges: playerRatingChanges,
+        ackSafe(ack, { ok: true });
+      } catch (error) {
+        console.error('[socket] submit_show error:', error);
+        ackSafe(ack, { ok: false, reason: error.message });
+      }
+    });
+
+    // next_deal (Deals Rummy: any seated player deals the next hand once the previous one is scored)
+    socket.on('next_deal', async (data, ack) => {
+      try {
+        const err = invalidPayload(data);
+        if (err) return ackSafe(ack, err);
+        const { roomId } = data;
+        if (!roomId || typeof roomId !== 'string') return ackSafe(ack, { ok: false, reason: 'roomId required' });
+
+        const { room, result } = await gameManager.withRoom(roomId, redis, (room) => {
+          const invalid = ensureRoom(room) || ensurePlayerInRoom(room, currentUserId);
+          if (invalid) return invalid;
+          if (room.variant !== 'deals') return { ok: false, reason: 'Not a Deals Rummy room' };
+          return ensureGameState(room, 'round_over') || gameManager.startNextRound(room, redis);
         });
+        if (!result.ok) return ackSafe(ack, result);
 
-        console.log(`[game] end room=${roomId} winner=${room.players[result.winnerIndex]?.userId ?? '?'}`);
+        await announceDeal(room, io, redis);
+
+        console.log(`[game] deal ${room.deals.dealNumber}/${room.deals.totalDeals} room=${roomId}`);
         ackSafe(ack, { ok: true });
       } catch (error) {
-        console.error('[socket] declare error:', error);
+        console.error('[socket] next_deal error:', error);
+        ackSafe(ack, { ok: false, reason: error.message });
+      }
+    });
+
+    // request_rematch: ask the players of an ended room to play again at the same table
+    socket.on('request_rematch', async (data, ack) => {
+      try {
+        const err = invalidPayload(data);
+        if (err) return ackSafe(ack, err);
+        const { roomId } = data;
+        if (!roomId || typeof roomId !== 'string') return ackSafe(ack, { ok: false, reason: 'roomId required' });
+
+        const { room, result } = await gameManager.withRoom(roomId, redis, (room) => (
+          ensureRoom(room) || settleRematch(room, rematch.requestRematch(room, currentUserId), redis)
+        ));
+        if (!result.ok) return ackSafe(ack, result);
+        await announceRematch(room, result, io, redis);
+        ackSafe(ack, { ok: true, pending: result.pending, ready: result.ready, dealsAt: room.dealsAt });
+      } catch (error) {
+        console.error('[socket] request_rematch error:', error);
+        ackSafe(ack, { ok: false, reason: error.message });
+      }
+    });
+
+    // accept_rematch: { accept: false } declines and gives up the seat
+    socket.on('accept_rematch', async (data, ack) => {
+      try {
+        const err = invalidPayload(data);
+        if (err) return ackSafe(ack, err);
+        const { roomId, accept = true } = data;
+        if (!roomId || typeof roomId !== 'string') return ackSafe(ack, { ok: false, reason: 'roomId required' });
+        if (typeof accept !== 'boolean') return ackSafe(ack, { ok: false, reason: 'accept must be a boolean' });
+
+        const { room, result } = await gameManager.withRoom(roomId, redis, (room) => (
+          ensureRoom(room) || settleRematch(room, rematch.answerRematch(room, currentUserId, accept), redis)
+        ));
+        if (!result.ok) return ackSafe(ack, result);
+        await announceRematch(room, result, io, redis);
+        if (!accept) currentRoomId = null;
+        ackSafe(ack, { ok: true, pending: result.pending, ready: result.ready, dealsAt: room.dealsAt });
+      } catch (error) {
+        console.error('[socket] accept_rematch error:', error);
+        ackSafe(ack, { ok: false, reason: error.message });
+      }
+    });
+
+    // send_chat: text message to everyone in the room (players and spectators)
+    socket.on('send_chat', async (data, ack) => {
+      try {
+        const err = invalidPayload(data);
+        if (err) return ackSafe(ack, err);
+        const { roomId, text } = data;
+        if (!roomId || typeof roomId !== 'string') return ackSafe(ack, { ok: false, reason: 'roomId required' });
+        const prepared = chat.prepareMessage(text, CHAT_BLOCKED_WORDS);
+        if (!prepared.ok) return ackSafe(ack, prepared);
+
+        ackSafe(ack, await postToChat(roomId, currentUserId, { kind: 'chat', text: prepared.text }, io, redis));
+      } catch (error) {
+        console.error('[socket] send_chat error:', error);
+        ackSafe(ack, { ok: false, reason: error.message });
+      }
+    });
+
+    // send_emote: one of chat.EMOTES
+    socket.on('send_emote', async (data, ack) => {
+      try {
+        const err = invalidPayload(data);
+        if (err) return ackSafe(ack, err);
+        const { roomId, emote } = data;
+        if (!roomId || typeof roomId !== 'string') return ackSafe(ack, { ok: false, reason: 'roomId required' });
+        if (!chat.isValidEmote(emote)) return ackSafe(ack, { ok: false, reason: `emote must be one of ${chat.EMOTES.join(', ')}` });
+
+        ackSafe(ack, await postToChat(roomId, currentUserId, { kind: 'emote', emote }, io, redis));
+      } catch (error) {
+        console.error('[socket] send_emote error:', error);
         ackSafe(ack, { ok: false, reason: error.message });
       }
     });
@@ -429,10 +764,7 @@ function setupSocketHandlers(io, redis) {
     // get_stats
     socket.on('get_stats', async (data, ack) => {
       try {
-        const userId = data?.userId ?? currentUserId;
-        if (!userId) {
-          return ack ? ack({ ok: false, reason: 'userId required' }) : null;
-        }
+        const userId = currentUserId;
         const stats = await redis.getStats(userId);
         if (ack) ack({ ok: true, stats });
       } catch (error) {
@@ -441,11 +773,35 @@ function setupSocketHandlers(io, redis) {
       }
     });
 
+    // get_history: a page of the user's finished games, newest first
+    socket.on('get_history', async (data, ack) => {
+      try {
+        const userId = currentUserId;
+        const history = await redis.getHistory(userId, data?.offset, data?.limit);
+        if (ack) ack({ ok: true, ...history });
+      } catch (error) {
+        console.error('get_history error:', error);
+        if (ack) ack({ ok: false, reason: error.message });
+      }
+    });
+
+    // get_rating_history: rating after each rated game, for charting
+    socket.on('get_rating_history', async (data, ack) => {
+      try {
+        const userId = currentUserId;
+        const timeline = await redis.getRatingHistory(userId, Number(data?.since) || 0);
+        if (ack) ack({ ok: true, timeline });
+      } catch (error) {
+        console.error('get_rating_history error:', error);
+        if (ack) ack({ ok: false, reason: error.message });
+      }
+    });
+
     // get_leaderboard
     socket.on('get_leaderboard', async (data, ack) => {
       try {
         const limit = data?.limit ?? 50;
-        const leaderboard = await redis.getLeaderboard(limit);
+        const leaderboard = await redis.getLeaderboard(limit, data?.season === 'all' ? 'all' : 'season');
         if (ack) ack({ ok: true, leaderboard });
       } catch (error) {
         console.error('get_leaderboard error:', error);
@@ -453,6 +809,36 @@ function setupSocketHandlers(io, redis) {
       }
     });
 
+    // auto_arrange: best grouping of the player's current hand (a closed joker is wild only once they have seen it)
+    socket.on('auto_arrange', async (data, ack) => {
+      try {
+        const err = invalidPayload(data);
+        if (err) return ackSafe(ack, err);
+        const { roomId } = data;
+        if (!roomId || typeof roomId !== 'string') return ackSafe(ack, { ok: false, reason: 'roomId required' });
+
+        const room = await redis.getRoom(roomId);
+        if (ensureRoom(room)) return ackSafe(ack, ensureRoom(room));
+        if (ensurePlayerInRoom(room, currentUserId)) return ackSafe(ack, ensurePlayerInRoom(room, currentUserId));
+        if (ensureGameState(room, 'playing')) return ackSafe(ack, ensureGameState(room, 'playing'));
+
+        const hand = room.hands[currentUserId];
+        if (!hand) return ackSafe(ack, { ok: false, reason: 'Hand not found' });
+
+        const best = solver.solveHand(hand, gameManager.jokerFor(room, currentUserId).joker, room.gameType);
+        ackSafe(ack, {
+          ok: true,
+          groups: best.groups,
+          deadwood: best.deadwood,
+          points: best.points,
+          meetsRequirements: best.meetsRequirements,
+        });
+      } catch (error) {
+        console.error('[socket] auto_arrange error:', error);
+        ackSafe(ack, { ok: false, reason: error.message });
+      }
+    });
+
     // preview_hand
     socket.on('preview_hand', async (data) => {
       try {
@@ -476,20 +862,60 @@ function setupSocketHandlers(io, redis) {
       }
     });
 
+    // spectate_room: watch a game without a seat; spectators never see hands or the deck
+    socket.on('spectate_room', async (data, ack) => {
+      try {
+        const err = invalidPayload(data);
+        if (err) return ackSafe(ack, err);
+        const { roomId, username, password, inviteToken } = data;
+        const userId = currentUserId;
+        const uidErr = ensureUserId(userId);
+        if (uidErr) return ackSafe(ack, uidErr);
+        if (!roomId || typeof roomId !== 'string') return ackSafe(ack, { ok: false, reason: 'roomId required' });
+        const invite = readInvite(inviteToken);
+        if (!invite.ok) return ackSafe(ack, invite);
+        const limited = await limitPasswordAttempts(redis, userId, roomId, password);
+        if (limited) return ackSafe(ack, limited);
+
+        const { room, result } = await gameManager.withRoom(roomId, redis, async (room) => {
+          if (ensureRoom(room)) return ensureRoom(room);
+          const allowed = await access.checkAccess(room, { userId, password, invite: invite.invite });
+          if (!allowed.ok) return allowed;
+          const added = gameManager.addSpectator(room, { id: socket.id, userId, name: username || 'Spectator' });
+          if (added.ok) await gameManager.persistRoom(room, redis);
+          return added;
+        });
+        if (!result.ok) return ackSafe(ack, result);
+
+        spectatingRoomId = roomId;
+        socket.join(spectatorChannel(roomId));
+        broadcast(io, room, 'spectator_count', { count: result.count });
+        const snapshot = gameManager.spectatorRoom(room);
+        if (room.spectatorDelayMs > 0) {
+          // The table as it was on joining, sent once the delay has passed like every later event
+          ackSafe(ack, { ok: true, room: null, delayMs: room.spectatorDelayMs });
+          setTimeout(() => {
+            if (spectatingRoomId === roomId) socket.emit('spectator_room', { room: snapshot });
+          }, room.spectatorDelayMs);
+        } else {
+          ackSafe(ack, { ok: true, room: snapshot, delayMs: 0 });
+        }
+      } catch (error) {
+        console.error('[socket] spectate_room error:', error);
+        ackSafe(ack, { ok: false, reason: error.message });
+      }
+    });
+
     // leave_room
     socket.on('leave_room', async (data) => {
       try {
         if (invalidPayload(data)) return;
         const { roomId } = data;
         if (!roomId || typeof roomId !== 'string') return;
-        const room = await redis.getRoom(roomId);
-        if (ensureRoom(room)) return;
-
-        const player = room.players.find((p) => p.id === socket.id);
-        if (player) {
-          player.disconnected = true;
-          await redis.saveRoom(room);
-          io.to(roomId).emit('player_disconnected', { room });
+        await markDisconnected(roomId, socket, io, redis);
+        if (spectatingRoomId === roomId) {
+          await stopSpectating(roomId, socket, io, redis);
+          spectatingRoomId = null;
         }
 
         socket.leave(roomId);
@@ -502,71 +928,719 @@ function setupSocketHandlers(io, redis) {
     socket.on('disconnect', async () => {
       if (currentRoomId) {
         try {
-          const room = await redis.getRoom(currentRoomId);
-          if (room) {
-            const player = room.players.find(p => p.id === socket.id);
-            if (player) {
-              player.disconnected = true;
-              await redis.saveRoom(room);
-              io.to(currentRoomId).emit('player_disconnected', { room });
-            }
-          }
+          await markDisconnected(currentRoomId, socket, io, redis);
         } catch (error) {
           console.error('disconnect cleanup error:', error);
         }
       }
+      if (spectatingRoomId) {
+        try {
+          await stopSpectating(spectatingRoomId, socket, io, redis);
+        } catch (error) {
+          console.error('spectator cleanup error:', error);
+        }
+      }
       if (currentUserId) {
+        try {
+          await redis.dequeueMatch(currentUserId);
+        } catch (error) {
+          console.error('matchmaking cleanup error:', error);
+        }
         await redis.removeUserIdToSocketId(currentUserId);
       }
     });
   });
 }
 
-function startTurnTimer(room, io, redis) {
+/** Store a chat message or emote and send it to the room; only seated players and spectators may post. */
+async function postToChat(roomId, userId, content, io, redis) {
+  const room = await redis.getRoom(roomId);
+  if (ensureRoom(room)) return ensureRoom(room);
+  const sender = chat.findSender(room, userId);
+  if (!sender) return { ok: false, reason: 'Only players and spectators can chat' };
+  if (!(await redis.takeChatAllowance(userId))) return { ok: false, reason: 'Too many messages, slow down' };
+
+  const message = { ...content, userId, name: sender.name, spectator: sender.spectator, at: Date.now() };
+  await redis.appendChatMessage(roomId, message);
+  broadcast(io, room, 'chat_message', message);
+  return { ok: true, message };
+}
+
+function userChannel(userId) {
+  return `user:${userId}`;
+}
+
+/** Every instance polls the shared queues; claimMatch makes sure a player is seated only once. */
+function startMatchmaking(io, redis) {
+  let running = false;
+  setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runMatchmaking(io, redis);
+    } catch (error) {
+      console.error('[socket] matchmaking error:', error);
+    } finally {
+      running = false;
+    }
+  }, MATCHMAKING_INTERVAL_MS);
+}
+
+async function runMatchmaking(io, redis) {
+  const queues = await redis.getMatchQueues();
+  for (const { gameType, maxPlayers, entries } of queues) {
+    for (const group of matchmaking.findMatches(entries, maxPlayers)) {
+      const claimed = await redis.claimMatch(gameType, maxPlayers, group.map((e) => e.userId));
+      if (claimed) {
+        await startMatch(gameType, maxPlayers, group, io, redis);
+      }
+    }
+  }
+}
+
+/**
+ * Seat a matched group in a new rated room and publish its server seed hash in match_found; the
+ * deal follows once every player has sent a client seed or the seed window is over. Players may be
+ * connected to other instances, so they are reached through their user channel; clients answer
+ * match_found with rejoin_room to bind their socket to the seat, and set_client_seed.
+ */
+async function startMatch(gameType, maxPlayers, group, io, redis) {
+  const room = gameManager.createRoom(gameType, maxPlayers, false, group[0].userId);
+  for (const entry of group) {
+    const socketId = await redis.getSocketIdByUserId(entry.userId);
+    room.players.push({
+      id: socketId,
+      userId: entry.userId,
+      name: entry.name,
+      isBot: false,
+      disconnected: !socketId,
+    });
+  }
+  fairness.openSeedWindow(room, Date.now() + CLIENT_SEED_WINDOW_MS);
+  await gameManager.persistRoom(room, redis);
+  await redis.setRoomPlayerIds(room.roomId, room.players.map((p) => p.id).filter(Boolean));
+  for (const player of room.players) {
+    await redis.savePlayer(player.userId, { roomId: room.roomId, socketId: player.id });
+    io.in(userChannel(player.userId)).socketsJoin(room.roomId);
+    io.to(userChannel(player.userId)).emit('match_found', {
+      roomId: room.roomId,
+      room: gameManager.publicRoom(room),
+      serverSeedHash: room.fairness.serverSeedHash,
+      dealsAt: room.dealsAt,
+    });
+  }
+  // The deal itself goes through withRoom (set_client_seed or the timer), so rejoins cannot race it
+  armTimer('deal', room.roomId, room.dealsAt);
+  console.log(`[game] match room=${room.roomId} players=${group.map((e) => `${e.userId}(${e.rating})`).join(',')}`);
+}
+
+function spectatorChannel(roomId) {
+  return `spectators:${roomId}`;
+}
+
+/** Send a game event to the spectators, after the room's spectator delay. */
+function emitToSpectators(io, room, event, payload) {
+  const send = () => io.to(spectatorChannel(room.roomId)).emit(event, payload);
+  if (room.spectatorDelayMs > 0) {
+    setTimeout(send, room.spectatorDelayMs);
+  } else {
+    send();
+  }
+}
+
+/** Send a public game event to the seated players and the spectators. Never use it for hands or the room object. */
+function broadcast(io, room, event, payload) {
+  io.to(room.roomId).emit(event, payload);
+  emitToSpectators(io, room, event, payload);
+}
+
+async function stopSpectating(roomId, socket, io, redis) {
+  socket.leave(spectatorChannel(roomId));
+  const { room, result } = await gameManager.withRoom(roomId, redis, async (room) => {
+    if (!room || !gameManager.removeSpectator(room, socket.id)) return false;
+    await gameManager.persistRoom(room, redis);
+    return true;
+  });
+  if (result) {
+    broadcast(io, room, 'spectator_count', { count: room.spectators.length });
+  }
+}
+
+/**
+ * Flag the socket's seat as disconnected and tell the room how long the player has to come back.
+ * Their turns are auto-played meanwhile, starting with the current one if it is theirs.
+ */
+async function markDisconnected(roomId, socket, io, redis) {
+  const { room, result } = await gameManager.withRoom(roomId, redis, async (room) => {
+    if (!room) return null;
+    if (room.rematch) {
+      // Leaving while a rematch is up for a vote gives up the seat
+      const player = room.players.find((p) => p.id === socket.id);
+      return player ? { ...(await settleRematch(room, rematch.answerRematch(room, player.userId, false), redis)), leftRematch: true } : null;
+    }
+    const away = gameManager.markAway(room, socket.id);
+    if (!away.ok) return null;
+    await gameManager.persistRoom(room, redis);
+    return away;
+  });
+  if (!result) return;
+  if (result.leftRematch) {
+    if (result.ok) await announceRematch(room, result, io, redis);
+    return;
+  }
+
+  io.to(roomId).emit('player_disconnected', {
+    room: gameManager.publicRoom(room),
+    userId: result.player.userId,
+    forfeitAt: result.forfeitAt,
+    graceMs: result.forfeitAt ? Math.max(0, result.forfeitAt - Date.now()) : null,
+  });
+  armForfeitTimer(room);
+  if (result.turnShortened) {
+    broadcast(io, room, 'turn_timer_start', { expiresAt: room.turnExpiresAt });
+    startTurnTimer(room);
+  }
+}
+
+/**
+ * After a rematch request or answer (a withRoom mutation): once every human still seated has
+ * accepted, reset the room and, if there are enough players, open a client seed window on the
+ * new server seed hash. The deal follows as for a matched room (set_client_seed or the deal timer).
+ */
+async function settleRematch(room, vote, redis) {
+  if (!vote.ok) return vote;
+  if (vote.ready) {
+    gameManager.resetForRematch(room);
+    if (room.players.length >= 2) fairness.openSeedWindow(room, Date.now() + CLIENT_SEED_WINDOW_MS);
+  }
+  await gameManager.persistRoom(room, redis);
+  return vote;
+}
+
+/** Drop the removed seats from the channel, tell the room where the vote stands and arm the deal if it passed. */
+async function announceRematch(room, result, io, redis) {
+  const roomId = room.roomId;
+  if (result.removed.length > 0) {
+    const leaving = new Set(result.removed.map((p) => p.id));
+    const playerIds = await redis.getRoomPlayerIds(roomId);
+    await redis.setRoomPlayerIds(roomId, playerIds.filter((id) => !leaving.has(id)));
+    for (const p of result.removed) {
+      io.in(userChannel(p.userId)).socketsLeave(roomId);
+    }
+  }
+  io.to(roomId).emit('rematch_status', {
+    requestedBy: result.requestedBy,
+    accepted: result.accepted,
+    pending: result.pending,
+    removed: result.removed.map((p) => p.userId),
+    ready: result.ready,
+    cancelled: result.cancelled,
+    series: room.series,
+    serverSeedHash: result.ready ? room.fairness.serverSeedHash : null,
+    dealsAt: room.dealsAt,
+    room: gameManager.publicRoom(room),
+  });
+  if (result.ready && room.dealsAt) {
+    armTimer('deal', roomId, room.dealsAt);
+    console.log(`[game] rematch room=${roomId} game=${room.gameNumber}`);
+  }
+}
+
+/** Arm the room's forfeit timer for the next disconnected player to run out of time, if any. */
+function armForfeitTimer(room) {
+  const dueAt = gameManager.nextForfeitAt(room);
+  if (dueAt) {
+    armTimer('forfeit', room.roomId, dueAt);
+  } else {
+    scheduler.cancel('forfeit', room.roomId).catch((error) => console.error('[socket] cancel forfeit timer error:', error));
+  }
+}
+
+/** Grace period ran out for one or more disconnected players: they forfeit. */
+async function onForfeitDue(roomId, io, redis) {
+  const { room, result } = await gameManager.withRoom(roomId, redis, (room) => {
+    if (!room) return null;
+    return gameManager.forfeitAway(room, redis);
+  });
+  if (!room) return;
+  if (result && result.ok) {
+    await announceForfeits(room, result, io, redis);
+  }
+  if (room.gameState !== 'ended') armForfeitTimer(room);
+}
+
+/**
+ * Tell the room who forfeited, then carry on: end an abandoned room, finish the deal if the
+ * forfeit ended it, or pass the turn on.
+ */
+async function announceForfeits(room, result, io, redis) {
+  for (const forfeit of result.forfeits) {
+    broadcast(io, room, 'player_forfeited', forfeit);
+  }
+  if (result.abandoned) {
+    await endAbandoned(room, result.fairness, io, redis);
+  } else if (room.gameState === 'playing') {
+    await continueAfterLeaving(room, result.dealResult, io, redis);
+  } else if (result.dealResult) {
+    await finishDeclare(room, result.dealResult, io, redis);
+  }
+}
+
+/** Every human forfeited: nobody wins and each of them takes a loss. */
+async function endAbandoned(room, revealed, io, redis) {
+  clearTurnTimer(room.roomId);
+  for (const p of room.players) {
+    if (p.isBot) continue;
+    redis.recordGameResult(p.userId, false, true).catch((err) =>
+      console.error('recordGameResult error:', err)
+    );
+  }
+  if (revealed) {
+    await redis.revealServerSeed(gameManager.gameId(room), revealed.serverSeed);
+  }
+  broadcast(io, room, 'room_ended', { reason: 'abandoned', fairness: revealed || undefined });
+  console.log(`[game] abandoned room=${room.roomId}`);
+}
+
+/**
+ * After a player leaves the deal early: finish the deal if it ended, otherwise pass the turn on.
+ */
+async function continueAfterLeaving(room, dealResult, io, redis) {
+  if (dealResult) {
+    clearTurnTimer(room.roomId);
+    await finishDeclare(room, dealResult, io, redis);
+    return;
+  }
+  announceTurn(room, io, redis);
+}
+
+/** Broadcast whose turn it is, restart the turn timer and let a bot move if it is theirs. */
+function announceTurn(room, io, redis) {
+  broadcast(io, room, 'player_turn', {
+    currentTurnIndex: room.currentTurnIndex,
+    turnPhase: room.turnPhase,
+    discardPile: room.discardPile,
+  });
+  broadcast(io, room, 'turn_timer_start', { expiresAt: room.turnExpiresAt });
+  startTurnTimer(room);
+  scheduleBotTurn(room);
+}
+
+/**
+ * After a valid declaration: open the show window for the losers, or finish straight
+ * away when nobody has to show (e.g. only bots are left).
+ */
+async function handleDeclared(room, result, io, redis) {
+  clearTurnTimer(room.roomId);
+  if (!result.showing) {
+    await finishDeclare(room, result, io, redis);
+    return;
+  }
+  broadcast(io, room, 'show_started', {
+    declarerIndex: result.declarerIndex,
+    winnerGrouped: result.winnerGrouped,
+    pending: result.pending,
+    expiresAt: result.expiresAt,
+  });
+  armTimer('show', room.roomId, result.expiresAt);
+}
+
+/** Show window closed: score anyone who has not shown. */
+async function onShowExpired(roomId, io, redis) {
+  const { room, result } = await gameManager.withRoom(roomId, redis, (room) => {
+    if (!room || room.gameState !== 'showing' || !room.show || room.show.expiresAt > Date.now()) return null;
+    return gameManager.expireShows(room, redis);
+  });
+  if (result && result.ok) {
+    await finishDeclare(room, result, io, redis);
+  }
+}
+
+/**
+ * Broadcast the outcome of a successful declaration: per-deal standings for multi-deal
+ * variants, then game_over (and match_over) with rating changes once the game is decided.
+ */
+async function finishDeclare(room, result, io, redis) {
   const roomId = room.roomId;
-  clearTurnTimer(roomId);
 
-  if (!room.turnExpiresAt) return;
-  const delay = room.turnExpiresAt - Date.now();
-  if (delay <= 0) return;
-
-  const timer = setTimeout(async () => {
-    const updatedRoom = await redis.getRoom(roomId);
-    if (!updatedRoom || updatedRoom.gameState !== 'playing') return;
-
-    const currentPlayer = updatedRoom.players[updatedRoom.currentTurnIndex];
-    if (currentPlayer && currentPlayer.isBot) {
-      await gameManager.botPlay(updatedRoom, redis);
-      io.to(roomId).emit('player_turn', {
-        currentTurnIndex: updatedRoom.currentTurnIndex,
-        discardPile: updatedRoom.discardPile,
+  if (result.poolResult) {
+    broadcast(io, room, 'round_standings', {
+      round: room.pool.round,
+      roundWinnerIndex: result.roundWinnerIndex,
+      scores: result.scores,
+      standings: result.poolResult.standings,
+      winnerHand: result.winnerHand,
+      winnerGrouped: result.winnerGrouped,
+      groupings: result.groupings,
+    });
+    for (const out of result.poolResult.eliminated) {
+      broadcast(io, room, 'player_eliminated', out);
+    }
+    if (!result.poolResult.matchOver) {
+      armTimer('round', roomId, Date.now() + ROUND_BREAK_MS);
+      console.log(`[game] round ${room.pool.round} over room=${roomId}`);
+      return;
+    }
+  }
+
+  if (result.dealResult) {
+    broadcast(io, room, 'deal_over', {
+      dealNumber: room.deals.dealNumber,
+      totalDeals: room.deals.totalDeals,
+      roundWinnerIndex: result.roundWinnerIndex,
+      scores: result.scores,
+      transfers: result.dealResult.transfers,
+      standings: result.dealResult.standings,
+      winnerHand: result.winnerHand,
+      winnerGrouped: result.winnerGrouped,
+      groupings: result.groupings,
+    });
+    if (!result.dealResult.matchOver) {
+      console.log(`[game] deal ${room.deals.dealNumber}/${room.deals.totalDeals} over room=${roomId}`);
+      return;
+    }
+  }
+
+  const winnerUserId = room.players[result.winnerIndex]?.userId;
+  const playerRatingChanges = await applyRatings(room, winnerUserId, redis);
+  if (result.fairness) {
+    await redis.revealServerSeed(gameManager.gameId(room), result.fairness.serverSeed);
+  }
+  await recordHistory(room, result, winnerUserId, playerRatingChanges, redis);
+
+  broadcast(io, room, 'game_over', {
+    winnerIndex: result.winnerIndex,
+    scores: result.scores,
+    winnerHand: result.winnerHand,
+    winnerGrouped: result.winnerGrouped,
+    groupings: result.groupings,
+    scoreBreakdown: result.scoreBreakdown,
+    ratingChanges: playerRatingChanges,
+    settlement: result.settlement || undefined,
+    standings: result.poolResult ? result.poolResult.standings : undefined,
+    fairness: result.fairness || undefined,
+  });
+
+  const matchResult = result.poolResult || result.dealResult;
+  if (matchResult) {
+    broadcast(io, room, 'match_over', {
+      variant: room.variant,
+      winnerIndex: result.winnerIndex,
+      standings: matchResult.standings,
+      ratingChanges: playerRatingChanges,
+    });
+  }
+
+  console.log(`[game] end room=${roomId} winner=${winnerUserId ?? '?'}`);
+}
+
+/** Store a compact summary of the finished game in each player's match history. */
+async function recordHistory(room, result, winnerUserId, ratingChanges, redis) {
+  const endedAt = Date.now();
+  const players = room.players.map((p, i) => {
+    const change = ratingChanges.find((c) => c.userId === p.userId);
+    const score = result.scores && result.scores[i];
+    return {
+      userId: p.userId,
+      name: p.name,
+      isBot: !!p.isBot,
+      penalty: score ? score.penalty : null,
+      ratingChange: change ? change.ratingChange : null,
+      newRating: change ? change.newRating : null,
+    };
+  });
+  try {
+    await redis.recordGameSummary({
+      roomId: room.roomId,
+      gameId: gameManager.gameId(room),
+      gameType: room.gameType,
+      variant: room.variant,
+      endedAt,
+      winnerUserId: winnerUserId || null,
+      players,
+    });
+  } catch (err) {
+    console.error('recordGameSummary error:', err);
+  }
+}
+
+/** Broadcast a bot move or timeout auto-play, chaining into the next bot if needed. */
+async function announceMove(room, result, io, redis) {
+  if (result.declareResult) {
+    await handleDeclared(room, result.declareResult, io, redis);
+    return;
+  }
+  announceTurn(room, io, redis);
+}
+
+/** If it is a bot's turn, let it move after a short pause instead of waiting for the turn timer. */
+function scheduleBotTurn(room) {
+  const currentPlayer = room.players[room.currentTurnIndex];
+  if (!currentPlayer || !currentPlayer.isBot) return;
+  armTimer('bot', room.roomId, Date.now() + BOT_MOVE_DELAY_MS);
+}
+
+async function onBotMove(roomId, io, redis) {
+  const { room, result } = await gameManager.withRoom(roomId, redis, (room) => {
+    if (!room || room.gameState !== 'playing') return null;
+    const player = room.players[room.currentTurnIndex];
+    return player && player.isBot ? gameManager.botPlay(room, redis) : null;
+  });
+  if (result && result.ok) {
+    await announceMove(room, result, io, redis);
+  }
+}
+
+/**
+ * Record the result for every real player and update ratings (ELO or Glicko-2, see RATING_SYSTEM)
+ * when at least two are seated.
+ * @returns {Promise<Array>} ratingChanges for the game_over payload
+ */
+async function applyRatings(room, winnerUserId, redis) {
+  // Get all real players (not bots) for the rating calculation
+  const realPlayers = room.players.filter((p) => p.userId && !p.isBot);
+
+  let playerRatingChanges = [];
+  if (realPlayers.length >= 2) {
+    // Get current ratings for all real players
+    const playerRatings = await Promise.all(
+      realPlayers.map(async (p) => {
+        const stats = await redis.getStats(p.userId);
+        return {
+          userId: p.userId,
+          rating: stats.rating,
+          rd: stats.rd,
+          volatility: stats.volatility,
+          totalGames: stats.totalGames,
+          won: p.userId === winnerUserId,
+          forfeited: !!p.forfeited,
+        };
+      })
+    );
+
+    // Calculate new ratings for each player
+    const ratingUpdates = [];
+    for (const player of playerRatings) {
+      const opponents = playerRatings.filter((p) => p.userId !== player.userId);
+      let newRating;
+      let deviation = null;
+      if (config.RATING_SYSTEM === 'glicko2') {
+        // getStats already grew rd for the time the player was away
+        const rated = glicko2.calculateNewRating(player, opponents);
+        newRating = rated.rating;
+        deviation = { rd: rated.rd, volatility: rated.volatility };
+      } else {
+        newRating = elo.calculateNewRating(
+          player.rating,
+          player.totalGames,
+          player.won,
+          opponents
+        );
+      }
+      const ratingChange = newRating - player.rating;
+      ratingUpdates.push({ 
+        userId: player.userId, 
+        oldRating: player.rating,
+        newRating, 
+        ratingChange,
+        deviation,
+        won: player.won,
+        forfeited: player.forfeited,
       });
-      io.to(roomId).emit('turn_timer_start', { expiresAt: updatedRoom.turnExpiresAt });
-      startTurnTimer(updatedRoom, io, redis);
-    } else {
-      io.to(roomId).emit('turn_auto_play', {});
-      // Auto-discard first card
-      const hand = updatedRoom.hands[currentPlayer.userId];
-      if (hand && hand.length > 0) {
-        await gameManager.discardCard(updatedRoom, currentPlayer.userId, hand[0], redis);
-        io.to(roomId).emit('player_turn', {
-          currentTurnIndex: updatedRoom.currentTurnIndex,
-          discardPile: updatedRoom.discardPile,
+    }
+
+    // Atomic update: record stats and update ratings for all players
+    await Promise.all(
+      ratingUpdates.map((update) =>
+        redis.updateStatsAndRating(update.userId, update.won, update.newRating, update.forfeited, update.deviation).catch((err) =>
+          console.error(`updateStatsAndRating error for ${update.userId}:`, err)
+        )
+      )
+    );
+
+    // Prepare rating changes for game_over payload
+    playerRatingChanges = await Promise.all(
+      ratingUpdates.map(async (update) => {
+        const stats = await redis.getStats(update.userId);
+        return {
+          userId: update.userId,
+          oldRating: update.oldRating,
+          newRating: update.newRating,
+          ratingChange: update.ratingChange,
+          rd: update.deviation ? update.deviation.rd : undefined,
+          tier: stats.tier,
+          peakRating: stats.peakRating,
+        };
+      })
+    );
+  } else {
+    // Fallback: just record stats without ELO (single player or all bots)
+    for (const p of realPlayers) {
+      if (p.userId) {
+        redis.recordGameResult(p.userId, p.userId === winnerUserId, !!p.forfeited).catch((err) =>
+          console.error('recordGameResult error:', err)
+        );
+        // Still include tier for single player games
+        const stats = await redis.getStats(p.userId);
+        playerRatingChanges.push({
+          userId: p.userId,
+          oldRating: stats.rating,
+          newRating: stats.rating,
+          ratingChange: 0,
+          tier: stats.tier,
+          peakRating: stats.peakRating,
         });
-        io.to(roomId).emit('turn_timer_start', { expiresAt: updatedRoom.turnExpiresAt });
-        startTurnTimer(updatedRoom, io, redis);
       }
     }
-  }, delay);
+  }
+
+  return playerRatingChanges;
+}
 
-  turnTimers.set(roomId, timer);
+/** Seat any configured bots, then deal (a withRoom mutation; announce with announceStart). */
+async function startWithBots(room, redis) {
+  const botsAdded = gameManager.addBots(room);
+  const result = await gameManager.startGame(room, redis);
+  return { ...result, botsAdded };
+}
+
+async function announceStart(room, result, io, redis) {
+  if (result.botsAdded > 0) {
+    io.to(room.roomId).emit('player_joined', { room: gameManager.publicRoom(room) });
+  }
+  broadcast(io, room, 'game_started', {
+    serverSeedHash: room.fairness.serverSeedHash,
+    clientSeeds: room.fairness.clientSeeds,
+  });
+  await announceDeal(room, io, redis);
+}
+
+/** The client seed window after a published commitment is over: deal with the seeds sent so far. */
+async function onDealDue(roomId, io, redis) {
+  const { room, result } = await gameManager.withRoom(roomId, redis, (room) => (
+    room && room.gameState === 'waiting' && room.dealsAt ? startWithBots(room, redis) : null
+  ));
+  if (result && result.ok) {
+    await announceStart(room, result, io, redis);
+    console.log(`[game] start room=${roomId} players=${room.players.length} (client seed window over)`);
+  }
+}
+
+/** Start a practice room with bots if the creator has not started it within the waiting timeout. */
+async function onBotFillDue(roomId, io, redis) {
+  const { room, result } = await gameManager.withRoom(roomId, redis, (room) => (
+    room && room.gameState === 'waiting' ? startWithBots(room, redis) : null
+  ));
+  if (result && result.ok) {
+    await announceStart(room, result, io, redis);
+    console.log(`[game] start room=${roomId} players=${room.players.length} (bot fill timeout)`);
+  }
+}
+
+/** Send each player their hand, then broadcast the deal and start the first turn. */
+async function announceDeal(room, io, redis) {
+  for (const player of room.players) {
+    const hand = room.hands[player.userId];
+    if (!hand) continue;
+    const playerSocket = await redis.getSocketIdByUserId(player.userId);
+    if (playerSocket) {
+      io.to(playerSocket).emit('your_hand', { hand });
+    }
+  }
+
+  // The deal already started the first turn (and set turnExpiresAt) inside its withRoom
+  startTurnTimer(room);
+
+  broadcast(io, room, 'deal_cards', {
+    discardPile: room.discardPile,
+    currentTurnIndex: room.currentTurnIndex,
+    turnPhase: room.turnPhase,
+    joker: gameManager.publicRoom(room).joker,
+    rules: rules.roomRules(room),
+    round: room.pool ? room.pool.round : undefined,
+    dealNumber: room.deals ? room.deals.dealNumber : undefined,
+  });
+
+  broadcast(io, room, 'turn_timer_start', { expiresAt: room.turnExpiresAt });
+  scheduleBotTurn(room);
+}
+
+/** Redeal a pool match once the break between rounds (for clients to show standings) is over. */
+async function onRoundBreakOver(roomId, io, redis) {
+  const { room, result } = await gameManager.withRoom(roomId, redis, (room) => (
+    room && room.gameState === 'round_over' ? gameManager.startNextRound(room, redis) : null
+  ));
+  if (!result || !result.ok) return;
+  await announceDeal(room, io, redis);
+  console.log(`[game] next round room=${roomId} round=${room.pool ? room.pool.round : '?'}`);
+}
+
+/** Arm the shared turn timer from room.turnExpiresAt. */
+function startTurnTimer(room) {
+  if (!room.turnExpiresAt) return;
+  armTimer('turn', room.roomId, room.turnExpiresAt);
+}
+
+/** Turn ran out: a bot moves, a human is auto-played. Ignored if the turn was re-armed meanwhile. */
+async function onTurnExpired(roomId, io, redis) {
+  let autoPlayed = false;
+  let userId = null;
+  const { room, result } = await gameManager.withRoom(roomId, redis, (room) => {
+    if (!room || room.gameState !== 'playing' || !room.turnExpiresAt || room.turnExpiresAt > Date.now()) return null;
+    const currentPlayer = room.players[room.currentTurnIndex];
+    autoPlayed = !(currentPlayer && currentPlayer.isBot);
+    userId = currentPlayer && currentPlayer.userId;
+    return autoPlayed ? gameManager.autoPlay(room, redis) : gameManager.botPlay(room, redis);
+  });
+  if (!result || !result.ok) return;
+  if (autoPlayed) {
+    broadcast(io, room, 'turn_auto_play', {});
+    // The server picked and threw for them; room payloads carry no hands, so resend theirs
+    if (room.hands[userId]) io.to(userChannel(userId)).emit('your_hand', { hand: room.hands[userId] });
+  }
+  if (result.forfeits && result.forfeits.length > 0) {
+    await announceForfeits(room, result, io, redis);
+    return;
+  }
+  await announceMove(room, result, io, redis);
 }
 
 function clearTurnTimer(roomId) {
-  const timer = turnTimers.get(roomId);
-  if (timer) {
-    clearTimeout(timer);
-    turnTimers.delete(roomId);
+  scheduler.cancel('turn', roomId).catch((error) => console.error('[socket] cancel turn timer error:', error));
+}
+
+function clearDealTimer(roomId) {
+  scheduler.cancel('deal', roomId).catch((error) => console.error('[socket] cancel deal timer error:', error));
+}
+
+function armTimer(kind, roomId, dueAt) {
+  scheduler.schedule(kind, roomId, dueAt).catch((error) => console.error(`[socket] schedule ${kind} timer error:`, error));
+}
+
+/** Re-arm timers of live rooms from their stored expiry times, e.g. after every instance restarted. */
+async function rearmTimers(redis) {
+  const rooms = await redis.getAllRooms();
+  for (const room of rooms) {
+    if (room.gameState === 'playing' && room.turnExpiresAt) {
+      await scheduler.schedule('turn', room.roomId, room.turnExpiresAt, { onlyIfMissing: true });
+      const currentPlayer = room.players[room.currentTurnIndex];
+      if (currentPlayer && currentPlayer.isBot) {
+        await scheduler.schedule('bot', room.roomId, Date.now() + BOT_MOVE_DELAY_MS, { onlyIfMissing: true });
+      }
+    } else if (room.gameState === 'showing' && room.show) {
+      await scheduler.schedule('show', room.roomId, room.show.expiresAt, { onlyIfMissing: true });
+    } else if (room.gameState === 'round_over' && room.variant === 'pool') {
+      // The break's end is not stored; give clients a full break from now
+      await scheduler.schedule('round', room.roomId, Date.now() + ROUND_BREAK_MS, { onlyIfMissing: true });
+    } else if (room.gameState === 'waiting' && room.dealsAt) {
+      await scheduler.schedule('deal', room.roomId, room.dealsAt, { onlyIfMissing: true });
+    } else if (room.gameState === 'waiting' && room.botCount > 0 && room.gameNumber === 1) {
+      await scheduler.schedule('botfill', room.roomId, room.createdAt + BOT_FILL_TIMEOUT_MS, { onlyIfMissing: true });
+    }
+    const forfeitAt = gameManager.nextForfeitAt(room);
+    if (forfeitAt && room.gameState !== 'ended') {
+      await scheduler.schedule('forfeit', room.roomId, forfeitAt, { onlyIfMissing: true });
+    }
   }
 }
 
@@ -0,0 +1,112 @@
+/**
+ * Bots in a closed-joker room: they must not play with the face-down cut card until they have
+ * shown a pure sequence, like any player; and a bot with nothing left to draw passes cleanly.
+ * Run with: npm run test:bots
+ */
+
+const assert = require('assert');
+const gameManager = require('./game/gameManager');
+const bot = require('./game/bot');
+const rules = require('./game/rules');
+
+const log = [];
+const redis = {
+  async saveRoom() {
+    return true;
+  },
+  async saveFairnessDeal() {},
+  async appendRoomLog(gameId, entries) {
+    log.push(...entries);
+  },
+};
+
+/** Record the joker rank botPlay hands to each bot decision. */
+function spyOnBot() {
+  const seen = [];
+  for (const name of ['chooseDraw', 'findFinish', 'chooseDiscard']) {
+    const original = bot[name];
+    bot[name] = (hand, ...args) => {
+      // chooseDraw takes the discard top before the joker
+      seen.push(name === 'chooseDraw' ? args[1] : args[0]);
+      return original(hand, ...args);
+    };
+  }
+  return seen;
+}
+
+async function closedRoomOnBotTurn(hand) {
+  const { rules: tableRules } = rules.validateRules({ wildJoker: 'closed' }, 13, 2);
+  const room = gameManager.createRoom(13, 2, true, 'a', { botCount: 1, rules: tableRules });
+  room.players.push({ userId: 'a', name: 'a' });
+  gameManager.addBots(room);
+  await gameManager.startGame(room, redis);
+
+  const botIndex = room.players.findIndex((p) => p.isBot);
+  room.currentTurnIndex = botIndex;
+  room.turnPhase = 'awaiting_pick';
+  // A joker rank the bot's hand does not contain, so the cut card can be told apart
+  room.jokerCard = '9';
+  room.joker = '9';
+  room.wildJokerCard = '9-C';
+  room.hands[room.players[botIndex].userId] = hand;
+  room.deck.push('K-S');
+  room.discardPile.push('Q-S');
+  return { room, botUserId: room.players[botIndex].userId };
+}
+
+async function testBotDoesNotSeeHiddenJoker(seen) {
+  seen.length = 0;
+  // No pure sequence anywhere in the hand
+  const hand = ['A-H', '3-H', '5-D', '7-D', 'J-C', 'K-C', '2-S', '4-S', '6-S', '8-H', '10-H', 'Q-D', 'A-C'];
+  const { room, botUserId } = await closedRoomOnBotTurn(hand);
+
+  const result = await gameManager.botPlay(room, redis);
+  assert.ok(result.ok);
+  assert.ok(!room.jokerRevealedTo.includes(botUserId), 'no pure sequence, no reveal');
+  assert.ok(seen.length > 0);
+  assert.deepStrictEqual([...new Set(seen)], [null], 'every decision made without the joker');
+}
+
+async function testBotRevealsWithPureSequence(seen) {
+  seen.length = 0;
+  log.length = 0;
+  const hand = ['A-H', '2-H', '3-H', '5-D', '7-D', 'J-C', 'K-C', '2-S', '4-S', '6-S', '8-H', '10-H', 'Q-D'];
+  const { room, botUserId } = await closedRoomOnBotTurn(hand);
+
+  const result = await gameManager.botPlay(room, redis);
+  assert.ok(result.ok);
+  assert.ok(room.jokerRevealedTo.includes(botUserId), 'the pure sequence is shown');
+  assert.ok(log.some((a) => a.type === 'joker_revealed' && a.userId === botUserId));
+  assert.deepStrictEqual([...new Set(seen)], ['9'], 'the joker is used once revealed');
+}
+
+async function testBotPassesWithNoCards() {
+  const hand = ['A-H', '3-H', '5-D', '7-D', 'J-C', 'K-C', '2-S', '4-S', '6-S', '8-H', '10-H', 'Q-D', 'A-C'];
+  const { room, botUserId } = await closedRoomOnBotTurn(hand);
+  room.deck = [];
+  room.discardPile = [];
+  const botIndex = room.currentTurnIndex;
+
+  const result = await gameManager.botPlay(room, redis);
+  assert.ok(result.ok);
+  assert.strictEqual(room.hands[botUserId].length, 13, 'nothing drawn, nothing thrown');
+  assert.strictEqual(room.discardPile.length, 0);
+  assert.notStrictEqual(room.currentTurnIndex, botIndex, 'the turn moves on');
+}
+
+async function run() {
+  const seen = spyOnBot();
+  let failed = 0;
+  for (const test of [testBotDoesNotSeeHiddenJoker, testBotRevealsWithPureSequence, testBotPassesWithNoCards]) {
+    try {
+      await test(seen);
+      console.log(`✓ ${test.name}`);
+    } catch (error) {
+      failed++;
+      console.error(`✗ ${test.name}:`, error.message);
+    }
+  }
+  if (failed) process.exit(1);
+}
+
+run();
@@ -0,0 +1,149 @@
+/**
+ * Conflicting actions on the same room, run in parallel through gameManager.withRoom against an
+ * in-memory stand-in for the compare-and-set saveRoom: each action must apply once and the loser
+ * must be re-validated against the winner's state.
+ * Run with: npm run test:room-writes
+ */
+
+const assert = require('assert');
+const gameManager = require('./game/gameManager');
+
+/** Just the room calls gameManager makes, with saveRoom behaving like the Lua script. */
+function createStore() {
+  const rooms = {};
+  // Yield between every read and write so parallel actions interleave
+  const tick = () => new Promise((resolve) => setImmediate(resolve));
+  return {
+    async getRoom(roomId) {
+      await tick();
+      return rooms[roomId] ? JSON.parse(rooms[roomId]) : null;
+    },
+    async saveRoom(room) {
+      await tick();
+      const stored = rooms[room.roomId] ? JSON.parse(rooms[room.roomId]).version || 0 : 0;
+      const expected = room.version || 0;
+      if (stored !== expected) return false;
+      room.version = expected + 1;
+      rooms[room.roomId] = JSON.stringify(room);
+      return true;
+    },
+    async saveFairnessDeal() {},
+    async appendRoomLog() {},
+  };
+}
+
+async function dealtRoom(redis) {
+  const room = gameManager.createRoom(13, 2, false, 'a');
+  room.players.push({ userId: 'a', name: 'a' }, { userId: 'b', name: 'b' });
+  await gameManager.startGame(room, redis);
+  return room;
+}
+
+function currentUserId(room) {
+  return room.players[room.currentTurnIndex].userId;
+}
+
+/** Same guard as the turn timer in socket.js: skip if the turn has moved on since it was armed. */
+function expireTurn(room, redis) {
+  if (!room || room.gameState !== 'playing' || !room.turnExpiresAt || room.turnExpiresAt > Date.now()) return null;
+  return gameManager.autoPlay(room, redis);
+}
+
+/** The timeout fires on another instance just as the player discards; `timeoutFirst` picks who reads first. */
+async function discardRacesTimeout(timeoutFirst) {
+  const redis = createStore();
+  const { roomId } = await dealtRoom(redis);
+  const { room } = await gameManager.withRoom(roomId, redis, async (room) => {
+    const picked = await gameManager.pickCard(room, currentUserId(room), 'deck', redis);
+    assert.ok(picked.ok, picked.reason);
+    // The turn has just run out as the player discards
+    room.turnExpiresAt = Date.now() - 1;
+    await gameManager.persistRoom(room, redis);
+    return room;
+  });
+  const userId = currentUserId(room);
+  const card = room.hands[userId][0];
+
+  const actions = [
+    () => gameManager.withRoom(roomId, redis, (room) => gameManager.discardCard(room, userId, card, redis)),
+    () => gameManager.withRoom(roomId, redis, (room) => expireTurn(room, redis)),
+  ];
+  if (timeoutFirst) actions.reverse();
+  const results = await Promise.all(actions.map((action) => action()));
+  if (timeoutFirst) results.reverse();
+  const [discard, timeout] = results;
+
+  const timedOut = !!(timeout.result && timeout.result.ok);
+  assert.notStrictEqual(discard.result.ok, timedOut, 'exactly one of the discard and the timeout applies');
+  if (timedOut) {
+    assert.strictEqual(discard.result.reason, 'Not your turn');
+  } else {
+    assert.strictEqual(timeout.result, null, 'the timeout sees the turn has moved on');
+  }
+
+  const final = await redis.getRoom(roomId);
+  assert.strictEqual(final.version, room.version + 1, 'one write');
+  assert.strictEqual(final.hands[userId].length, 13);
+  assert.strictEqual(final.discardPile.length, room.discardPile.length + 1);
+  assert.notStrictEqual(currentUserId(final), userId);
+  return timedOut;
+}
+
+async function testDiscardRacesTimeout() {
+  assert.strictEqual(await discardRacesTimeout(false), false, 'the discard wins when it reads first');
+  assert.strictEqual(await discardRacesTimeout(true), true, 'the timeout wins when it reads first');
+}
+
+async function testDoublePick() {
+  const redis = createStore();
+  const room = await dealtRoom(redis);
+  const userId = currentUserId(room);
+
+  const results = await Promise.all(['deck', 'discard'].map((source) => (
+    gameManager.withRoom(room.roomId, redis, (room) => gameManager.pickCard(room, userId, source, redis))
+  )));
+
+  const picked = results.filter(({ result }) => result.ok);
+  assert.strictEqual(picked.length, 1, 'only one pick applies');
+  const loser = results.find(({ result }) => !result.ok);
+  assert.strictEqual(loser.result.reason, 'Already picked this turn');
+
+  const final = await redis.getRoom(room.roomId);
+  assert.strictEqual(final.version, room.version + 1, 'one write');
+  assert.strictEqual(final.hands[userId].length, 14);
+}
+
+async function testDiscardTwice() {
+  const redis = createStore();
+  const { roomId } = await dealtRoom(redis);
+  const { room } = await gameManager.withRoom(roomId, redis, (room) => (
+    gameManager.pickCard(room, currentUserId(room), 'deck', redis)
+  ));
+  const userId = currentUserId(room);
+  const [first, second] = room.hands[userId];
+
+  const results = await Promise.all([first, second].map((card) => (
+    gameManager.withRoom(roomId, redis, (room) => gameManager.discardCard(room, userId, card, redis))
+  )));
+
+  assert.strictEqual(results.filter(({ result }) => result.ok).length, 1, 'only one discard applies');
+  assert.strictEqual(results.find(({ result }) => !result.ok).result.reason, 'Not your turn');
+  const final = await redis.getRoom(roomId);
+  assert.strictEqual(final.hands[userId].length, 13);
+}
+
+async function run() {
+  let failed = 0;
+  for (const test of [testDiscardRacesTimeout, testDoublePick, testDiscardTwice]) {
+    try {
+      await test();
+      console.log(`✓ ${test.name}`);
+    } catch (error) {
+      failed++;
+      console.error(`✗ ${test.name}:`, error.message);
+    }
+  }
+  if (failed) process.exit(1);
+}
+
+run();